@@ -0,0 +1,355 @@
+const { sum, linearRegression, studentTCDF, preconditionNotNull, preconditionLengthEquality, preconditionAllPositive,
+  preconditionRange, STD_NORMAL } = require('./util');
+const { metaRegression, randomEffectsPooling, fixedEffectsPooling } = require('./pooling');
+
+// tests for small-study effects (e.g. publication bias), as meta::metabias. all tests are two-sided against a null of
+// no funnel plot asymmetry. effects should be on the scale they are pooled on (e.g. log odds ratios), such as the `te`
+// & `seTE` of `studyEstimates` from `pooledMean` or `pooledRate`
+
+function _preconditionEffects(te, se) {
+  preconditionNotNull(te, 'te');
+  preconditionNotNull(se, 'se');
+  preconditionLengthEquality(te, se, 'te', 'se');
+  preconditionAllPositive(se, 'se', true);
+  if (te.length < 3) {
+    throw new Error(`At least 3 studies are required to test for small-study effects; got ${te.length}`);
+  }
+}
+
+function _preconditionCounts(eventsT, nT, eventsC, nC) {
+  preconditionNotNull(eventsT, 'eventsT');
+  preconditionNotNull(nT, 'nT');
+  preconditionNotNull(eventsC, 'eventsC');
+  preconditionNotNull(nC, 'nC');
+  preconditionLengthEquality(eventsT, nT, 'eventsT', 'nT');
+  preconditionLengthEquality(eventsT, eventsC, 'eventsT', 'eventsC');
+  preconditionLengthEquality(eventsC, nC, 'eventsC', 'nC');
+  preconditionAllPositive(eventsT, 'eventsT');
+  preconditionAllPositive(eventsC, 'eventsC');
+  preconditionAllPositive(nT, 'nT', true);
+  preconditionAllPositive(nC, 'nC', true);
+  eventsT.forEach((e, ix) => {
+    if (e > nT[ix] || eventsC[ix] > nC[ix]) {
+      throw new Error(`event is greater than n at index ${ix}`);
+    }
+  });
+}
+
+// a t test on a regression coefficient & its standard error
+function _tTest(test, bias, se, df) {
+  const statistic = bias / se;
+  return {
+    test,
+    bias,
+    se,
+    statistic,
+    df,
+    p: 2 * (1 - studentTCDF(Math.abs(statistic), df)),
+  };
+}
+
+/**
+ * Egger's regression test, regressing standardized effects (te / se) on precision (1 / se). the intercept measures
+ * asymmetry
+ *
+ * @param te an array of treatment effects
+ * @param se an array of standard errors of the treatment effects
+ * @return an object with attributes `test`, `bias` (the intercept), `se`, `statistic` (t), `df` & `p`
+ */
+function eggerTest(te, se) {
+  _preconditionEffects(te, se);
+  const { intercept, interceptSE, df } = linearRegression(te.map((t, ix) => t / se[ix]), se.map((s) => 1 / s));
+  return _tTest('Egger', intercept, interceptSE, df);
+}
+
+/**
+ * Begg & Mazumdar's rank correlation test, of Kendall's tau between standardized deviates from the fixed effects
+ * estimate and variances. the normal approximation to Kendall's S is used, without continuity correction or adjustment
+ * for ties
+ *
+ * @param te an array of treatment effects
+ * @param se an array of standard errors of the treatment effects
+ * @return an object with attributes `test`, `tau` (Kendall's tau), `statistic` (z) & `p`
+ */
+function beggTest(te, se) {
+  _preconditionEffects(te, se);
+  const k = te.length;
+  const variances = se.map((s) => Math.pow(s, 2));
+  const w = variances.map((v) => 1 / v);
+  const totalW = w.reduce((acc, wi) => acc + wi, 0);
+  const tePooled = te.reduce((acc, t, ix) => acc + w[ix] * t, 0) / totalW;
+  const deviates = te.map((t, ix) => (t - tePooled) / Math.sqrt(variances[ix] - 1 / totalW));
+
+  let s = 0;
+  for (let i = 0; i < k - 1; i++) {
+    for (let j = i + 1; j < k; j++) {
+      s += Math.sign(deviates[i] - deviates[j]) * Math.sign(variances[i] - variances[j]);
+    }
+  }
+  const statistic = s / Math.sqrt(k * (k - 1) * (2 * k + 5) / 18);
+  return {
+    test: 'Begg',
+    tau: s / (k * (k - 1) / 2),
+    statistic,
+    p: 2 * (1 - STD_NORMAL.cdf(Math.abs(statistic))),
+  };
+}
+
+/**
+ * Thompson & Sharp's test, a random effects meta-regression of effects on their standard errors, with tau^2 by
+ * DerSimonian-Laird (see `metaRegression`). the slope measures asymmetry, and is tested with a z test
+ *
+ * @param te an array of treatment effects
+ * @param se an array of standard errors of the treatment effects
+ * @return an object with attributes `test`, `bias` (the slope), `se`, `statistic` (z), `p` & `tau2` (residual)
+ */
+function thompsonSharpTest(te, se) {
+  _preconditionEffects(te, se);
+  const { coefficients, tau2 } = metaRegression(te, se, { se }, { method: 'RE', tauMethod: 'DL' });
+  const slope = coefficients[1];
+  return {
+    test: 'Thompson-Sharp',
+    bias: slope.estimate,
+    se: slope.se,
+    statistic: slope.z,
+    p: slope.p,
+    tau2,
+  };
+}
+
+/**
+ * Peters' test for binary outcomes, a weighted regression of log odds ratios on the inverse of total sample size, with
+ * weights by the inverse variance of the total events & non-events. avoids the correlation between log odds ratios and
+ * their standard errors in Egger's test. the slope measures asymmetry.
+ * as in `pairwiseBinary`, .5 is added to all cells of studies with a zero cell, and studies with no (or all) events
+ * are excluded
+ *
+ * @param eventsT an array of the number of events in the treatment arm of each study
+ * @param nT an array of the number of units in the treatment arm of each study
+ * @param eventsC an array of the number of events in the control arm of each study
+ * @param nC an array of the number of units in the control arm of each study
+ * @return an object with attributes `test`, `bias` (the slope), `se`, `statistic` (t), `df` & `p`
+ */
+function petersTest(eventsT, nT, eventsC, nC) {
+  _preconditionCounts(eventsT, nT, eventsC, nC);
+  const ixs = eventsT.map((e, ix) => ix)
+    .filter((ix) => eventsT[ix] + eventsC[ix] > 0 && eventsT[ix] + eventsC[ix] < nT[ix] + nC[ix]);
+  if (ixs.length < 3) {
+    throw new Error(`At least 3 studies are required to test for small-study effects; got ${ixs.length}`);
+  }
+
+  const te = ixs.map((ix) => {
+    const cells = [eventsT[ix], nT[ix] - eventsT[ix], eventsC[ix], nC[ix] - eventsC[ix]];
+    const [a, b, c, d] = cells.some((x) => x === 0) ? cells.map((x) => x + .5) : cells;
+    return Math.log((a * d) / (b * c));
+  });
+  const inverseN = ixs.map((ix) => 1 / (nT[ix] + nC[ix]));
+  const weights = ixs.map((ix) => {
+    const events = eventsT[ix] + eventsC[ix];
+    return 1 / (1 / events + 1 / (nT[ix] + nC[ix] - events));
+  });
+  const { slope, slopeSE, df } = linearRegression(te, inverseN, weights);
+  return _tTest('Peters', slope, slopeSE, df);
+}
+
+/**
+ * Harbord's test for binary outcomes, Egger's test on the efficient score (O - E) & score variance (V) of the log odds
+ * ratio, regressing Z / sqrt(V) on sqrt(V). avoids the correlation between log odds ratios and their standard errors
+ * in Egger's test. the intercept measures asymmetry. studies with no (or all) events are excluded
+ *
+ * @param eventsT an array of the number of events in the treatment arm of each study
+ * @param nT an array of the number of units in the treatment arm of each study
+ * @param eventsC an array of the number of events in the control arm of each study
+ * @param nC an array of the number of units in the control arm of each study
+ * @return an object with attributes `test`, `bias` (the intercept), `se`, `statistic` (t), `df` & `p`
+ */
+function harbordTest(eventsT, nT, eventsC, nC) {
+  _preconditionCounts(eventsT, nT, eventsC, nC);
+  const scores = eventsT.map((a, ix) => {
+    const n = nT[ix] + nC[ix];
+    const events = a + eventsC[ix];
+    return {
+      z: a - nT[ix] * events / n,
+      v: nT[ix] * nC[ix] * events * (n - events) / (Math.pow(n, 2) * (n - 1)),
+    };
+  }).filter(({ v }) => v > 0);
+  if (scores.length < 3) {
+    throw new Error(`At least 3 studies are required to test for small-study effects; got ${scores.length}`);
+  }
+
+  const { intercept, interceptSE, df } = linearRegression(scores.map(({ z, v }) => z / Math.sqrt(v)),
+    scores.map(({ v }) => Math.sqrt(v)));
+  return _tTest('Harbord', intercept, interceptSE, df);
+}
+
+const TRIM_FILL_ESTIMATORS = ['L0', 'R0'];
+
+// the pooled estimate of (a subset of) studies, under the model being adjusted
+function _pool(te, se, randomEffects, tauMethod) {
+  return randomEffects ? randomEffectsPooling(te, se, tauMethod) : { ...fixedEffectsPooling(te, se), tau2: 0 };
+}
+
+// the estimated number of missing studies on the left, given effects sorted ascending & centered on the pooled estimate
+// of the trimmed studies. ranks of absolute deviations are broken by order, as metafor
+function _missingStudies(centered, estimator) {
+  const k = centered.length;
+  const ranks = [];
+  centered.map((c, ix) => ix)
+    .sort((a, b) => Math.abs(centered[a]) - Math.abs(centered[b]))
+    .forEach((ix, rank) => {
+      ranks[ix] = Math.sign(centered[ix]) * (rank + 1);
+    });
+  let k0;
+  if (estimator === 'R0') {
+    // the length of the rightmost run of positive ranks, less 1
+    k0 = k - Math.max(0, ...ranks.filter((r) => r < 0).map((r) => -r)) - 1;
+  } else {
+    const sr = sum(ranks.filter((r) => r > 0));
+    k0 = (4 * sr - k * (k + 1)) / (2 * k - 1);
+  }
+  return Math.max(0, Math.round(k0));
+}
+
+/**
+ * Duval & Tweedie's trim-and-fill, as metafor::trimfill. the most extreme studies on the side opposite the missing
+ * studies are iteratively trimmed until the number missing (k0) converges. the trimmed studies are then mirrored about
+ * the pooled estimate of the remainder, and all studies (observed & imputed) are pooled for an adjusted estimate.
+ * imputed studies are a sensitivity analysis of funnel plot asymmetry, not evidence of real studies
+ *
+ * @param te an array of treatment effects
+ * @param se an array of standard errors of the treatment effects
+ * @param randomEffects whether to trim and pool under random effects
+ * @param width the width of the CI on the adjusted estimate
+ * @param {Object} options an object with optional attributes:
+ *   `estimator` the estimator of the number of missing studies, 'L0' (default) or 'R0'
+ *   `side` the side of the funnel on which studies are missing, 'left' or 'right'. by default, the side opposite the
+ *     one small studies lean towards, by the sign of the slope of a meta-regression of effects on standard errors (as
+ *     metafor), or 'left' if all standard errors are equal
+ *   `tauMethod` the estimator of tau^2 under random effects, see `computeTau2`
+ *   `maxIterations` the maximum number of trimming iterations, after which an error is thrown if k0 has not converged
+ * @return an object with attributes `k0` (the number of imputed studies), `side`, `imputed` (an array of `{te, se}`
+ * of imputed studies), `estimate`, `lower`, `upper` & `tau2` of the adjusted estimate
+ */
+function trimAndFill(te, se, randomEffects=true, width=.95, { estimator = 'L0', side, tauMethod = 'DL',
+  maxIterations = 100 } = {}) {
+  _preconditionEffects(te, se);
+  if (TRIM_FILL_ESTIMATORS.indexOf(estimator) < 0) {
+    throw new Error(`Unrecognized estimator '${estimator}'; expected one of ${TRIM_FILL_ESTIMATORS.join(', ')}`);
+  }
+  if (side === undefined && se.every((s) => s === se[0])) {
+    // effects have no slope on equal standard errors, to lean towards either side
+    side = 'left';
+  } else if (side === undefined) {
+    const { coefficients } = metaRegression(te, se, { se },
+      { method: randomEffects ? 'RE' : 'FE', tauMethod });
+    side = coefficients[1].estimate < 0 ? 'right' : 'left';
+  } else if (side !== 'left' && side !== 'right') {
+    throw new Error(`Unrecognized side '${side}'; expected one of left, right`);
+  }
+
+  // flip effects so that missing studies are always on the left, and the largest effects are trimmed
+  const direction = side === 'left' ? 1 : -1;
+  const k = te.length;
+  const ixs = te.map((t, ix) => ix).sort((a, b) => direction * (te[a] - te[b]));
+  const y = ixs.map((ix) => direction * te[ix]);
+  const s = ixs.map((ix) => se[ix]);
+
+  let k0 = 0;
+  let previousK0;
+  let trimmedEstimate;
+  for (let i = 0; k0 !== previousK0; i++) {
+    if (i === maxIterations) {
+      throw new Error(`Trim-and-fill did not converge in ${maxIterations} iterations`);
+    }
+    previousK0 = k0;
+    trimmedEstimate = _pool(y.slice(0, k - k0), s.slice(0, k - k0), randomEffects, tauMethod).tePooled;
+    k0 = Math.min(k - 1, _missingStudies(y.map((yi) => yi - trimmedEstimate), estimator));
+  }
+
+  const imputed = y.slice(k - k0).map((yi, ix) => ({
+    te: direction * (2 * trimmedEstimate - yi),
+    se: s[k - k0 + ix],
+  }));
+  const { tePooled, seTEPooled, tau2 } = _pool(te.concat(imputed.map((study) => study.te)),
+    se.concat(imputed.map((study) => study.se)), randomEffects, tauMethod);
+  const z = STD_NORMAL.ppf((1 - width) / 2);
+  return {
+    k0,
+    side,
+    imputed,
+    estimate: tePooled,
+    lower: tePooled + z * seTEPooled,
+    upper: tePooled - z * seTEPooled,
+    tau2,
+  };
+}
+
+/**
+ * compute the boundaries of a funnel plot of effects against their standard errors, as the NMA's
+ * `computeComparisonAdjustedEffects`. boundaries are CIs of the given level about a center (by default, the fixed
+ * effects pooled estimate), from a standard error of 0 to the largest observed. optionally, contour-enhanced
+ * (Peters 2008) boundaries are computed about the null effect, between which studies are significant at successive
+ * levels
+ *
+ * @param te an array of treatment effects
+ * @param se an array of standard errors of the treatment effects
+ * @param {Object} options an object with optional attributes:
+ *   `center` the effect the funnel is centered on
+ *   `level` the confidence level [0-1] determining width of the funnel boundaries
+ *   `contourLevels` an array of confidence levels [0-1] of contours, e.g. [.9, .95, .99]
+ *   `nullEffect` the effect contours are centered on
+ *   `transformation` a function applied to the x of all points, e.g. Math.exp for ratio measures
+ * @return an object with attributes:
+ *   `center` (transformed)
+ *   `leftFunnel` (array of [x, y] points that can be linearly interpolated, y being a standard error)
+ *   `rightFunnel` (array of [x, y] points that can be linearly interpolated)
+ *   `contours` (array of objects with attributes `level`, `left` & `right`, arrays of [x, y] points), in the order of
+ *   `contourLevels`
+ */
+function computeFunnel(te, se, { center, level = .95, contourLevels = [], nullEffect = 0,
+  transformation = (x) => x } = {}) {
+  preconditionNotNull(te, 'te');
+  preconditionNotNull(se, 'se');
+  preconditionLengthEquality(te, se, 'te', 'se');
+  preconditionAllPositive(se, 'se', true);
+  if (!te.length) {
+    throw new Error('At least 1 study is required to compute a funnel');
+  }
+  preconditionRange(level, 0, 1, 'level');
+  contourLevels.forEach((l) => preconditionRange(l, 0, 1, 'contourLevels'));
+  if (center === undefined) {
+    center = fixedEffectsPooling(te, se).tePooled;
+  }
+
+  const maxSE = Math.max(...se);
+  const funnelPoints = 500;
+  const boundaries = (effect, width) => {
+    const z = STD_NORMAL.ppf(1 - (1 - width) / 2);
+    const left = [];
+    const right = [];
+    for (let i = 0; i < funnelPoints; i++) {
+      const seIter = maxSE * (i / (funnelPoints - 1));
+      left.push([transformation(effect - z * seIter), seIter]);
+      right.push([transformation(effect + z * seIter), seIter]);
+    }
+    return { left, right };
+  };
+
+  const { left, right } = boundaries(center, level);
+  return {
+    center: transformation(center),
+    leftFunnel: left,
+    rightFunnel: right,
+    contours: contourLevels.map((l) => ({ level: l, ...boundaries(nullEffect, l) })),
+  };
+}
+
+module.exports = {
+  eggerTest,
+  beggTest,
+  thompsonSharpTest,
+  petersTest,
+  harbordTest,
+  trimAndFill,
+  computeFunnel,
+};
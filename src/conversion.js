@@ -0,0 +1,283 @@
+const { sum, weightedQuantile, STD_NORMAL } = require('./util');
+
+// studies often report medians with quartiles and/or ranges in place of means & SDs, which are required for pooling.
+// the available summaries determine the scenario, following Wan et al. 2014:
+//   S1: minimum, median & maximum
+//   S2: first quartile, median & third quartile
+//   S3: all five of the above
+const MEAN_METHODS = ['Luo', 'Wan', 'Hozo', 'Bland'];
+const SD_METHODS = ['Shi', 'Wan', 'Hozo', 'Bland'];
+
+function _present(x) {
+  return !!x || x === 0;
+}
+
+function _scenario({ median, q1, q3, min, max }) {
+  const hasRange = _present(min) && _present(max);
+  const hasIQR = _present(q1) && _present(q3);
+  if (hasRange && hasIQR) {
+    return 'S3';
+  }
+  if (hasRange) {
+    return 'S1';
+  }
+  if (hasIQR) {
+    return 'S2';
+  }
+  return undefined;
+}
+
+function _preconditionSummaries(n, summaries, needsMedian) {
+  if (!(n > 0)) {
+    throw new Error(`Sample size must be positive; got ${n}`);
+  }
+  const scenario = _scenario(summaries);
+  if (!scenario) {
+    throw new Error('Either a range (min & max) or quartiles (q1 & q3) are required');
+  }
+  if (needsMedian && !_present(summaries.median)) {
+    throw new Error('A median is required');
+  }
+  return scenario;
+}
+
+// the expected (standardized) range of a normal sample of size n, from Wan et al. 2014
+function _xi(n) {
+  return 2 * STD_NORMAL.ppf((n - .375) / (n + .25));
+}
+
+// the expected (standardized) interquartile range of a normal sample of size n, from Wan et al. 2014
+function _eta(n) {
+  return 2 * STD_NORMAL.ppf((.75 * n - .125) / (n + .25));
+}
+
+/**
+ * estimate a sample mean from its median and range and/or quartiles, assuming normally distributed data. methods are:
+ *  - 'Luo' (default): Luo et al. 2018, optimally weighting the median against the mid-range and/or mid-quartile range
+ *  - 'Wan': Wan et al. 2014, unweighted averages of the summaries
+ *  - 'Hozo': Hozo et al. 2005, for S1 only. per their recommendation, the median is used directly for n > 25
+ *  - 'Bland': Bland 2015, for S3 only
+ * @param {Number} n the sample size
+ * @param {Object} summaries an object with attributes `median`, and `min` & `max` and/or `q1` & `q3`
+ * @param {String} method one of 'Luo', 'Wan', 'Hozo', 'Bland'
+ * @return {Number} the estimated mean
+ */
+function estimateMean(n, summaries, method='Luo') {
+  if (MEAN_METHODS.indexOf(method) < 0) {
+    throw new Error(`Unrecognized method '${method}'; expected one of ${MEAN_METHODS.join(', ')}`);
+  }
+  const scenario = _preconditionSummaries(n, summaries, true);
+  const { median, q1, q3, min, max } = summaries;
+
+  if (method === 'Hozo') {
+    if (scenario !== 'S1') {
+      throw new Error("Hozo's method requires a range without quartiles");
+    }
+    return n > 25 ? median : (min + 2 * median + max) / 4 + (min - 2 * median + max) / (4 * n);
+  }
+  if (method === 'Bland') {
+    if (scenario !== 'S3') {
+      throw new Error("Bland's method requires both a range & quartiles");
+    }
+    return (min + 2 * q1 + 2 * median + 2 * q3 + max) / 8;
+  }
+  if (method === 'Wan') {
+    if (scenario === 'S1') {
+      return (min + 2 * median + max) / 4;
+    }
+    if (scenario === 'S2') {
+      return (q1 + median + q3) / 3;
+    }
+    return (min + 2 * q1 + 2 * median + 2 * q3 + max) / 8;
+  }
+
+  if (scenario === 'S1') {
+    const w = 4 / (4 + Math.pow(n, .75));
+    return w * (min + max) / 2 + (1 - w) * median;
+  }
+  if (scenario === 'S2') {
+    const w = .7 + .39 / n;
+    return w * (q1 + q3) / 2 + (1 - w) * median;
+  }
+  const w1 = 2.2 / (2.2 + Math.pow(n, .75));
+  const w2 = .7 - .72 / Math.pow(n, .55);
+  return w1 * (min + max) / 2 + w2 * (q1 + q3) / 2 + (1 - w1 - w2) * median;
+}
+
+/**
+ * estimate a sample standard deviation from its range and/or quartiles, assuming normally distributed data. methods
+ * are:
+ *  - 'Shi' (default): Shi et al. 2020, optimally weighting the range against the interquartile range in S3. S1 & S2
+ *    are as Wan's
+ *  - 'Wan': Wan et al. 2014, scaling by the expected range and/or interquartile range of a normal sample
+ *  - 'Hozo': Hozo et al. 2005, for S1 only. per their recommendation, range / 4 is used for 15 < n <= 70 and range / 6
+ *    for n > 70
+ *  - 'Bland': Bland 2015, for S3 only
+ * @param {Number} n the sample size
+ * @param {Object} summaries an object with attributes `min` & `max` and/or `q1` & `q3`, and `median` (Hozo & Bland only)
+ * @param {String} method one of 'Shi', 'Wan', 'Hozo', 'Bland'
+ * @return {Number} the estimated standard deviation
+ */
+function estimateSD(n, summaries, method='Shi') {
+  if (SD_METHODS.indexOf(method) < 0) {
+    throw new Error(`Unrecognized method '${method}'; expected one of ${SD_METHODS.join(', ')}`);
+  }
+  const scenario = _preconditionSummaries(n, summaries, method === 'Hozo' || method === 'Bland');
+  const { median, q1, q3, min, max } = summaries;
+
+  if (method === 'Hozo') {
+    if (scenario !== 'S1') {
+      throw new Error("Hozo's method requires a range without quartiles");
+    }
+    if (n > 70) {
+      return (max - min) / 6;
+    }
+    if (n > 15) {
+      return (max - min) / 4;
+    }
+    return Math.sqrt((Math.pow(min - 2 * median + max, 2) / 4 + Math.pow(max - min, 2)) / 12);
+  }
+  if (method === 'Bland') {
+    if (scenario !== 'S3') {
+      throw new Error("Bland's method requires both a range & quartiles");
+    }
+    const variance = (Math.pow(min, 2) + 2 * Math.pow(q1, 2) + 2 * Math.pow(median, 2) + 2 * Math.pow(q3, 2) +
+      Math.pow(max, 2)) / 16 + (min * q1 + q1 * median + median * q3 + q3 * max) / 8 -
+      Math.pow(min + 2 * q1 + 2 * median + 2 * q3 + max, 2) / 64;
+    return Math.sqrt(variance);
+  }
+
+  if (scenario === 'S1') {
+    return (max - min) / _xi(n);
+  }
+  if (scenario === 'S2') {
+    return (q3 - q1) / _eta(n);
+  }
+  if (method === 'Wan') {
+    return (max - min) / (2 * _xi(n)) + (q3 - q1) / (2 * _eta(n));
+  }
+  const theta1 = (2 + .14 * Math.pow(n, .6)) * _xi(n) / 2;
+  const theta2 = (2 + 2 / (.07 * Math.pow(n, .6))) * _eta(n) / 2;
+  return (max - min) / theta1 + (q3 - q1) / theta2;
+}
+
+/**
+ * fill missing means & SDs of studies with estimates from their medians, quartiles and/or ranges, where available.
+ * reported means & SDs are always preferred to estimates
+ *
+ * @param {Array<Number>} n the sample size of each study
+ * @param {Array<Number>} mean the mean of each study; entries may be undefined/null
+ * @param {Array<Number>} sd the standard deviation of each study; entries may be undefined/null
+ * @param {Object} summaries an object with optional attributes:
+ *   `median`, `q1`, `q3`, `min`, `max` arrays of summaries for each study, entries of which may be undefined/null
+ *   `methodMean` the method of estimating means, see `estimateMean`
+ *   `methodSD` the method of estimating standard deviations, see `estimateSD`
+ * @return {Object} an object with attributes `mean` & `sd`, arrays in which entries that could not be estimated are
+ * left as supplied
+ */
+function fillFromSummaries(n, mean, sd, { median = [], q1 = [], q3 = [], min = [], max = [], methodMean = 'Luo',
+  methodSD = 'Shi' } = {}) {
+  const studySummaries = n.map((_, ix) => ({
+    median: median[ix], q1: q1[ix], q3: q3[ix], min: min[ix], max: max[ix],
+  }));
+  return {
+    mean: mean.map((m, ix) => {
+      const summaries = studySummaries[ix];
+      return _present(m) || !_present(summaries.median) || !_scenario(summaries) ? m :
+        estimateMean(n[ix], summaries, methodMean);
+    }),
+    sd: sd.map((s, ix) => {
+      const summaries = studySummaries[ix];
+      return _present(s) || !_scenario(summaries) ? s : estimateSD(n[ix], summaries, methodSD);
+    }),
+  };
+}
+
+const SUMMARY_KEYS = ['median', 'q1', 'q3', 'min', 'max'];
+
+/**
+ * subset the per-study summaries of `fillFromSummaries` to some of the studies, e.g. for a leave-one-out or subgroup
+ * analysis
+ * @param {Object} summaries an object with the attributes of `fillFromSummaries`; other attributes (e.g. `methodMean`)
+ * are kept as supplied
+ * @param {Array<Number>} ixs the indices of the studies to keep
+ * @return {Object} a copy of `summaries` with each array of summaries subset to `ixs`; undefined without `summaries`
+ */
+function subsetSummaries(summaries, ixs) {
+  if (!summaries) {
+    return summaries;
+  }
+  const subset = { ...summaries };
+  SUMMARY_KEYS.filter((key) => summaries[key]).forEach((key) => {
+    subset[key] = ixs.map((ix) => summaries[key][ix]);
+  });
+  return subset;
+}
+
+const SD_IMPUTATION_METHODS = ['mean', 'pooled', 'quantile', 'max'];
+
+/**
+ * impute missing standard deviations from those observed. see
+ * https://training.cochrane.org/handbook/archive/v6/chapter-06#section-6-5-2, which weakly suggests using the average
+ * or a larger quantile of in-sample SDs. methods are:
+ *  - 'mean' (default): the average of observed SDs
+ *  - 'pooled': the pooled SD of studies, sqrt(sum((n - 1) * sd^2) / sum(n - 1)), which weights larger studies more
+ *  - 'quantile': the `quantile` (type 7, as R's default) of observed SDs
+ *  - 'max': the largest observed SD, the most conservative choice
+ *  - a number: a caller-supplied SD, e.g. from an external source
+ *
+ * @param {Array<Number>} n the sample size of each study
+ * @param {Array<Number>} sd the standard deviation of each study; entries may be undefined/null
+ * @param {String|Number} method one of 'mean', 'pooled', 'quantile', 'max', or a positive number
+ * @param {Number} quantile the quantile (0-1) of observed SDs, for the 'quantile' method
+ * @return {Object} an object with attributes `sd` (an array with missing entries imputed) and `imputedSD` (the value
+ * imputed, undefined if nothing was missing)
+ */
+function imputeSDs(n, sd, method='mean', quantile=.75) {
+  if (typeof method === 'number') {
+    if (!(method > 0)) {
+      throw new Error(`An imputed SD must be positive; got ${method}`);
+    }
+  } else if (SD_IMPUTATION_METHODS.indexOf(method) < 0) {
+    throw new Error(`Unrecognized SD imputation method '${method}'; expected a number or one of ${SD_IMPUTATION_METHODS.join(', ')}`);
+  }
+  if (method === 'quantile' && !(quantile >= 0 && quantile <= 1)) {
+    throw new Error(`Quantile must be in range 0 to 1; got ${quantile}`);
+  }
+
+  const observedIxs = sd.map((s, ix) => ix).filter((ix) => _present(sd[ix]));
+  if (observedIxs.length === sd.length) {
+    return { sd, imputedSD: undefined };
+  }
+  if (!observedIxs.length && typeof method !== 'number') {
+    throw new Error('Insufficient data for imputing missing SDs');
+  }
+
+  const observedSDs = observedIxs.map((ix) => sd[ix]);
+  let imputedSD;
+  if (typeof method === 'number') {
+    imputedSD = method;
+  } else if (method === 'pooled') {
+    const dfs = observedIxs.map((ix) => n[ix] - 1);
+    imputedSD = Math.sqrt(sum(observedSDs.map((s, ix) => dfs[ix] * Math.pow(s, 2))) / sum(dfs));
+  } else if (method === 'quantile') {
+    imputedSD = weightedQuantile(observedSDs, observedSDs.map(() => 1), [quantile])[0];
+  } else if (method === 'max') {
+    imputedSD = Math.max(...observedSDs);
+  } else {
+    imputedSD = sum(observedSDs) / observedSDs.length;
+  }
+
+  return {
+    sd: sd.map((s) => _present(s) ? s : imputedSD),
+    imputedSD,
+  };
+}
+
+module.exports = {
+  estimateMean,
+  estimateSD,
+  fillFromSummaries,
+  subsetSummaries,
+  imputeSDs,
+};
@@ -1,9 +1,13 @@
 const nma = require('./nma.js');
 const pooling = require('./pooling');
 const irr = require('./irr');
+const conversion = require('./conversion');
+const bias = require('./bias');
 
 module.exports = {
   ...nma,
   ...pooling,
   ...irr,
+  ...conversion,
+  ...bias,
 };
\ No newline at end of file
@@ -1,6 +1,9 @@
 const { Matrix, inverse, pseudoInverse } = require('ml-matrix');
 const { getConnectedComponents } = require('./graph');
-const { linearRegression, STD_NORMAL } = require("./util");
+const { chiSquaredCDF, computeISquared, computePredictionInterval, preconditionRange,
+  STD_NORMAL } = require("./util");
+const { fillFromSummaries, imputeSDs, subsetSummaries } = require('./conversion');
+const { computeFunnel, eggerTest } = require('./bias');
 
 
 function invertNChoose2(x) {
@@ -97,52 +100,92 @@ function coalesceNumeric(x) {
   return Number.isNaN(x) ? 0 : x;
 }
 
-// for reference: https://github.com/guido-s/netmeta/blob/257630f656d90e0d21b5ab4715c05ec29947c637/R/meta-het.R#L53
-function _computeISquared(q, df, width) {
-  if (df === 0) {
-    return undefined;
-  }
-
-  const backTransform = (x) => (Math.pow(x, 2) - 1) / Math.pow(x, 2);
-
-  const k = df + 1;
-  const H = Math.sqrt(q / df)
-  let selogH;
-  if (q > k) {
-    if (k >= 2) {
-      selogH = 0.5 * (Math.log(q) - Math.log(k - 1)) / (Math.sqrt(2 * q) - Math.sqrt(2 * k - 3));
-    }
-  } else {
-    if (k > 2) {
-      selogH = Math.sqrt(1 / (2 * (k - 2)) * (1 - 1 / (3 * Math.pow(k - 2, 2))));
-    }
-  }
-
-  if (!selogH) {
-    return {
-      i2: backTransform(Math.max(H, 1)),
-    };
-  }
-
-  const logH = Math.log(Math.max(H, 1));
-  const infer = _computeInferentialStatistics(logH, selogH, (x) => Math.exp(x), width);
-  return {
-    i2: backTransform(Math.max(H, 1)),
-    lower: backTransform(Math.max(infer.lower, 1)),
-    upper: backTransform(Math.max(infer.upper, 1)),
-  };
-}
-
 // an enum-like set of statistics used in measuring effects that are acceptable for NMA
 const ComparisonStatistic = {
   OR: {
     transform: (x) => Math.exp(x),
   },
+  RR: {
+    transform: (x) => Math.exp(x),
+  },
+  HR: {
+    transform: (x) => Math.exp(x),
+  },
+  IRR: {
+    transform: (x) => Math.exp(x),
+  },
+  RD: {
+    transform: (x) => x,
+  },
   MD: {
     transform: (x) => x,
   },
+  SMD: {
+    transform: (x) => x,
+  },
 };
 
+/**
+ * breadth first search for the shortest path from `source` to `sink` along edges carrying flow
+ *
+ * @param source
+ * @param sink
+ * @param {Array} flowEdges an array of objects with attributes `from`, `to`, `flow`
+ * @return {Array|undefined} the edges of the path, or undefined if there is no such path
+ * @private
+ */
+function _shortestFlowPath(source, sink, flowEdges) {
+  const epsilon = 1e-10;
+  const predecessors = new Map([[source, undefined]]);
+  const queue = [source];
+  while (queue.length && !predecessors.has(sink)) {
+    const node = queue.shift();
+    flowEdges
+      .filter((e) => e.from === node && e.flow > epsilon && !predecessors.has(e.to))
+      .forEach((e) => {
+        predecessors.set(e.to, e);
+        queue.push(e.to);
+      });
+  }
+  if (!predecessors.has(sink)) {
+    return undefined;
+  }
+
+  const path = [];
+  for (let node = sink; node !== source; node = predecessors.get(node).from) {
+    path.push(predecessors.get(node));
+  }
+  return path;
+}
+
+/**
+ * decompose the flow of evidence from `source` to `sink` (a row of the hat matrix) into paths, iteratively taking the
+ * shortest remaining path and splitting its flow evenly among its edges
+ *
+ * @param source
+ * @param sink
+ * @param {Array} edges an array of [treatment1, treatment2] pairs
+ * @param {Array<Number>} flows the flow along each edge, from treatment1 to treatment2 (negative for the reverse)
+ * @return {Array<Number>} the evidence flowing through each edge
+ * @private
+ */
+function _decomposeFlow(source, sink, edges, flows) {
+  const flowEdges = edges.map(([a, b], ix) => flows[ix] >= 0 ?
+    { from: a, to: b, flow: flows[ix], edgeIx: ix } :
+    { from: b, to: a, flow: -flows[ix], edgeIx: ix });
+  const contributions = edges.map(() => 0);
+
+  for (let path = _shortestFlowPath(source, sink, flowEdges); path; path = _shortestFlowPath(source, sink, flowEdges)) {
+    const pathFlow = Math.min(...path.map(({ flow }) => flow));
+    path.forEach((e) => {
+      e.flow -= pathFlow;
+      contributions[e.edgeIx] += pathFlow / path.length;
+    });
+  }
+
+  return contributions;
+}
+
 /**
  * a holder of the results of the NMA
  */
@@ -151,10 +194,17 @@ class NetworkMetaAnalysis {
    * @param {Matrix} aggregatedTreatmentEffects a square matrix with treatment effects
    * @param {Matrix} aggregatedStandardErrors a square matrix with effect standard errors
    * @param {Array} orderedTreatments the list of unique treatments corresponding to row and column indices
-   * @param {Array} studyLevelEffects an array of objects with attributes `study`, `treatment1`, `treatment2`, `effect`, `se`,  `comparisonN`
+   * @param {Array} studyLevelEffects an array of objects with attributes `study`, `treatment1`, `treatment2`, `effect`, `se`,  `comparisonN`,
+   * and optionally `adjustedSE` (the standard error used in weighting the contrast in the model)
    * @param {Object} comparison one of the `ComparisonStatistic`s that effects were generated for
    * @param q {Number} cochrane's Q derived from effects
    * @param dfQ {Number} degrees of freedom in computing cochrane's Q
+   * @param designs {Array} an array of objects with attributes `study` and `treatments` (the set of treatments compared
+   * in the study, ordered as in `orderedTreatments`)
+   * @param hatMatrix {Matrix} maps study level effects (columns) to the network estimates of each pair of treatments
+   * (rows, ordered as in `_buildAllPairwiseContrasts` over `orderedTreatments`)
+   * @param components {Array} an array of objects with attributes `treatments`, `tau` (the between study standard
+   * deviation, undefined for fixed effects models) and `dfQ`, for each connected component of the network
    */
   constructor(aggregatedTreatmentEffects,
               aggregatedStandardErrors,
@@ -162,7 +212,10 @@ class NetworkMetaAnalysis {
               studyLevelEffects,
               comparison,
               q,
-              dfQ) {
+              dfQ,
+              designs = [],
+              hatMatrix = undefined,
+              components = []) {
     this._treatmentEffects = aggregatedTreatmentEffects;
     this._standardErrors = aggregatedStandardErrors;
     this._treatments = orderedTreatments;
@@ -172,6 +225,9 @@ class NetworkMetaAnalysis {
     this._inversion = (x) => -x;
     this._q = q;
     this._dfQ = dfQ
+    this._designs = designs;
+    this._hatMatrix = hatMatrix;
+    this._components = components;
   }
 
   /**
@@ -194,7 +250,9 @@ class NetworkMetaAnalysis {
    * @param treatmentB
    * @param {Number} width specifies the width of intervals
    * @param {Number} nullEffect specifies basis of comparison for any hypothesis test (untransformed)
-   * @return {{p: Number, upper: Number, lower: Number}}
+   * @return {{p: Number, upper: Number, lower: Number}} for random effects models, `predictionLower` and
+   * `predictionUpper` bound the prediction interval (t distributed with Q's degrees of freedom, as in netmeta), where
+   * there is at least one degree of freedom
    */
   computeInferentialStatistics(treatmentA, treatmentB, width, nullEffect = 0) {
     const i = this._treatments.indexOf(treatmentA);
@@ -203,8 +261,39 @@ class NetworkMetaAnalysis {
       throw new Error(`Requesting NMA for non-present treatment(s): ${treatmentA}, ${treatmentB}`);
     }
 
-    return _computeInferentialStatistics(this._treatmentEffects.get(i, j), this._standardErrors.get(i, j),
-      this._comparisonStatistic.transform, width, nullEffect);
+    const effect = this._treatmentEffects.get(i, j);
+    const se = this._standardErrors.get(i, j);
+    const stats = _computeInferentialStatistics(effect, se, this._comparisonStatistic.transform, width, nullEffect);
+
+    const component = this._findComponent(treatmentA, treatmentB);
+    if (component && component.tau !== undefined) {
+      const prediction = computePredictionInterval(effect, se, Math.pow(component.tau, 2), component.dfQ, width);
+      if (prediction) {
+        stats.predictionLower = this._comparisonStatistic.transform(prediction.lower);
+        stats.predictionUpper = this._comparisonStatistic.transform(prediction.upper);
+      }
+    }
+    return stats;
+  }
+
+  /**
+   * @param treatmentA
+   * @param treatmentB
+   * @return {Number} the between study variance (tau^2) of the connected component of the network containing both
+   * treatments. undefined for fixed effects models, or treatments in different components
+   */
+  getTau2(treatmentA, treatmentB) {
+    if (this._treatments.indexOf(treatmentA) < 0 || this._treatments.indexOf(treatmentB) < 0) {
+      throw new Error(`Requesting NMA for non-present treatment(s): ${treatmentA}, ${treatmentB}`);
+    }
+
+    const component = this._findComponent(treatmentA, treatmentB);
+    return component && component.tau !== undefined ? Math.pow(component.tau, 2) : undefined;
+  }
+
+  _findComponent(treatmentA, treatmentB) {
+    return this._components.find((c) => c.treatments.indexOf(treatmentA) > -1 &&
+      c.treatments.indexOf(treatmentB) > -1);
   }
 
   /**
@@ -288,7 +377,7 @@ class NetworkMetaAnalysis {
    * get "comparison adjusted" study-level effects and standard errors, expected to be used in a comparison-adjusted funnel plot
    * Chaimani 2013: https://www.ncbi.nlm.nih.gov/pmc/articles/PMC3789683/
    * @param treatment the baseline of comparison used for generating effects
-   * @param level {Number} confidence level [0-1] determining width of the funnel boundaries
+   * @param level {Number} confidence level [0-1] determining width of the funnel boundaries, see `computeFunnel`
    * @return an object with properties:
    *   `effects`, which has properties:
    *       `study`
@@ -310,16 +399,9 @@ class NetworkMetaAnalysis {
       return undefined;
     }
 
-    const maxSE = Math.max(...studyLevelEffects.map(({ se }) => se));
-    const funnelPoints = 500;
-    const leftFunnel = [];
-    const rightFunnel = [];
-    for (let i = 0; i < funnelPoints; i++) {
-      const seIter = maxSE * (i / (funnelPoints - 1));
-      const bounds = _computeInferentialStatistics(equivalenceEffect, seIter, this._comparisonStatistic.transform, level);
-      leftFunnel.push([bounds.lower, seIter]);
-      rightFunnel.push([bounds.upper, seIter]);
-    }
+    const { leftFunnel, rightFunnel } = computeFunnel(studyLevelEffects.map(({ effect }) => effect),
+      studyLevelEffects.map(({ se }) => se),
+      { center: equivalenceEffect, level, transformation: this._comparisonStatistic.transform });
 
     const adjustedEffects = studyLevelEffects.map((sl) => {
       const ti = this._treatments.indexOf(sl.treatment1);
@@ -330,6 +412,7 @@ class NetworkMetaAnalysis {
 
       const slCopy = {...sl};
       delete slCopy.comparisonN;
+      delete slCopy.adjustedSE;
       // because we will be displaying effects with input `treatment` as the baseline, we invert the effects
       slCopy.effect = this._comparisonStatistic.transform(this._inversion(sl.effect) - this._inversion(modeledEffect));
       return slCopy;
@@ -339,10 +422,8 @@ class NetworkMetaAnalysis {
     if (studyLevelEffects.length >= 5) {
       // this is wrapped in a try/catch to protect from a variety of numerical issues / degenerate inputs crashing the entire call
       try {
-        const snd = adjustedEffects.map(({ effect, se }) => effect / se);
-        const precision = adjustedEffects.map(({ se }) => 1 / se);
-        const reg = linearRegression(snd, precision);
-        asymmetryResults.asymmetryP = reg.interceptP;
+        const { p } = eggerTest(adjustedEffects.map(({ effect }) => effect), adjustedEffects.map(({ se }) => se));
+        asymmetryResults.asymmetryP = p;
         // for now, we only support Egger, because most other test types (e.g. Harbord) are incompatible with
         // transformed / adjusted effects that we have
         asymmetryResults.asymmetryTest = 'Egger';
@@ -365,7 +446,216 @@ class NetworkMetaAnalysis {
    * @return an object with properties `i2`, `lower` (optional, insufficient data), `upper` (optional). or, undefined if there is insufficient comparisons
    */
   computeISquared(width=0.95) {
-    return _computeISquared(this._q, this._dfQ, width);
+    return computeISquared(this._q, this._dfQ, width);
+  }
+
+  /**
+   * decompose cochrane's Q on the network into heterogeneity within designs (studies comparing the same set of
+   * treatments) and inconsistency between designs, under a fixed effects model. this mimics
+   * `netmeta::decomp.design`; see Krahn 2013: https://doi.org/10.1186/1471-2288-13-35
+   *
+   * @return an object with properties:
+   *   `qTotal`, `dfTotal`, `pTotal` for the entire network
+   *   `qHeterogeneity`, `dfHeterogeneity`, `pHeterogeneity` summed within designs
+   *   `qInconsistency`, `dfInconsistency`, `pInconsistency` between designs (the design-by-treatment interaction test)
+   *   `designs` an array of objects with properties `treatments`, `studies`, `q`, `df`, `p` for each design
+   * p-values are undefined where there are 0 degrees of freedom
+   */
+  computeQDecomposition() {
+    const pValue = (q, df) => df > 0 ? 1 - chiSquaredCDF(Math.max(q, 0), df) : undefined;
+
+    const designGroups = [];
+    this._designs.forEach(({ study, treatments }) => {
+      const group = designGroups.find((g) => g.treatments.length === treatments.length &&
+        g.treatments.every((t, ix) => t === treatments[ix]));
+      if (group) {
+        group.studies.push(study);
+      } else {
+        designGroups.push({ treatments, studies: [study] });
+      }
+    });
+
+    const designs = designGroups.map(({ treatments, studies }) => {
+      if (studies.length < 2) {
+        return { treatments, studies, q: 0, df: 0, p: undefined };
+      }
+      // within a design, the NMA reduces to a (possibly multivariate) meta-analysis of the design's studies
+      const contrasts = this._studyLevelEffects.filter(({ study }) => studies.indexOf(study) > -1);
+      const contrastStudies = contrasts.map(({ study }) => study);
+      const prerequisites = _computePrerequisites(contrasts.map(({ se }) => se),
+        contrasts.map(({ treatment1 }) => treatment1), contrasts.map(({ treatment2 }) => treatment2), contrastStudies);
+      const designFit = _NMA(contrasts.map(({ effect }) => effect), prerequisites.standardErrors,
+        prerequisites.treatmentIndicesA, prerequisites.treatmentIndicesB, contrastStudies);
+      // degrees of freedom are computed from reciprocals, so we round off floating point error
+      const df = Math.round(designFit.dfQ);
+      return { treatments, studies, q: designFit.q, df, p: pValue(designFit.q, df) };
+    });
+
+    const dfTotal = Math.round(this._dfQ);
+    const qHeterogeneity = designs.reduce((acc, { q }) => acc + q, 0);
+    const dfHeterogeneity = designs.reduce((acc, { df }) => acc + df, 0);
+    const qInconsistency = this._q - qHeterogeneity;
+    const dfInconsistency = dfTotal - dfHeterogeneity;
+
+    return {
+      qTotal: this._q,
+      dfTotal,
+      pTotal: pValue(this._q, dfTotal),
+      qHeterogeneity,
+      dfHeterogeneity,
+      pHeterogeneity: pValue(qHeterogeneity, dfHeterogeneity),
+      qInconsistency,
+      dfInconsistency,
+      pInconsistency: pValue(qInconsistency, dfInconsistency),
+      designs,
+    };
+  }
+
+  /**
+   * split the network estimate of a comparison into its direct and indirect evidence, to assess their agreement
+   * (i.e. local inconsistency). this follows the back-calculation approach of `netmeta::netsplit`: the direct estimate
+   * pools the studies comparing the treatments head to head (weighted as in the network model), and the indirect
+   * estimate is derived from the direct and network estimates. see Dias 2010: https://doi.org/10.1002/sim.3767
+   *
+   * @param treatmentA
+   * @param treatmentB
+   * @param {Number} width the confidence interval width [0-1]
+   * @return an object with properties:
+   *   `treatment1` (= param treatmentA)
+   *   `treatment2` (= param treatmentB)
+   *   `directProportion` the share of the network estimate's precision coming from direct evidence
+   *   `network`, `direct`, `indirect`, each with properties `effect`, `lower`, `upper`, `p`
+   *   `difference` the direct effect relative to the indirect effect (e.g. a ratio of ORs), with properties `effect`,
+   *       `lower`, `upper`, and `p`, a test of inconsistency
+   * `indirect` and `difference` are undefined when there is no indirect evidence. or undefined, if the treatments were
+   * not directly compared in any study
+   */
+  computeNodeSplit(treatmentA, treatmentB, width=.95) {
+    const i = this._treatments.indexOf(treatmentA);
+    const j = this._treatments.indexOf(treatmentB);
+    if (i < 0 || j < 0) {
+      throw new Error(`Requesting NMA for non-present treatment(s): ${treatmentA}, ${treatmentB}`);
+    }
+
+    const directEffects = this._getRawStudyLevelEffects(treatmentA)
+      .filter(({ treatment2 }) => treatment2 === treatmentB);
+    if (!directEffects.length) {
+      return undefined;
+    }
+
+    const transform = this._comparisonStatistic.transform;
+    const summarize = (effect, se) => ({
+      ..._computeInferentialStatistics(effect, se, transform, width),
+      effect: transform(effect),
+    });
+
+    const weights = directEffects.map(({ se, adjustedSE }) => 1 / Math.pow(adjustedSE === undefined ? se : adjustedSE, 2));
+    const totalWeight = weights.reduce((a, b) => a + b, 0);
+    const directEffect = directEffects.reduce((acc, { effect }, ix) => acc + effect * weights[ix], 0) / totalWeight;
+    const directVariance = 1 / totalWeight;
+
+    const networkEffect = this._treatmentEffects.get(i, j);
+    const networkVariance = Math.pow(this._standardErrors.get(i, j), 2);
+    const directProportion = Math.min(networkVariance / directVariance, 1);
+
+    const split = {
+      treatment1: treatmentA,
+      treatment2: treatmentB,
+      directProportion,
+      network: summarize(networkEffect, Math.sqrt(networkVariance)),
+      direct: summarize(directEffect, Math.sqrt(directVariance)),
+      indirect: undefined,
+      difference: undefined,
+    };
+
+    // with (numerically) all evidence coming from direct comparisons, there is nothing to split
+    if (directProportion < 1 - 1e-8) {
+      const indirectEffect = (networkEffect - directProportion * directEffect) / (1 - directProportion);
+      const indirectVariance = 1 / (1 / networkVariance - 1 / directVariance);
+      split.indirect = summarize(indirectEffect, Math.sqrt(indirectVariance));
+      split.difference = summarize(directEffect - indirectEffect, Math.sqrt(directVariance + indirectVariance));
+    }
+
+    return split;
+  }
+
+  /**
+   * compute node splits (see `computeNodeSplit`) for every pair of treatments compared directly in a study
+   * @param {Number} width the confidence interval width [0-1]
+   * @return {Array} an array of node splits, in the order comparisons are first observed in the studies
+   */
+  computeNodeSplits(width=.95) {
+    const pairs = [];
+    this._studyLevelEffects.forEach(({ treatment1, treatment2 }) => {
+      const observed = pairs.some(([a, b]) => (a === treatment1 && b === treatment2) ||
+        (a === treatment2 && b === treatment1));
+      if (!observed) {
+        pairs.push([treatment1, treatment2]);
+      }
+    });
+
+    return pairs.map(([a, b]) => this.computeNodeSplit(a, b, width));
+  }
+
+  /**
+   * compute the percentage contribution of each direct comparison to each network estimate, e.g. for a net heat plot.
+   * rows of the hat matrix are decomposed into flows along paths in the network, which are attributed to the direct
+   * comparisons on each path. this mimics the "shortestpath" method of `netmeta::netcontrib`;
+   * see Papakonstantinou 2018: https://doi.org/10.12688/f1000research.14770.3
+   *
+   * @return an object with properties:
+   *   `directComparisons` an array of [treatment1, treatment2] pairs compared directly in at least one study
+   *   `networkEstimates` an array of objects with properties `treatment1`, `treatment2`, and `contributions` (an array
+   *       of percentages [0-100], aligned with `directComparisons`). only pairs of treatments in the same connected
+   *       component of the network are included
+   */
+  computeContributionMatrix() {
+    if (!this._hatMatrix) {
+      throw new Error('Contributions require the hat matrix of the fitted model');
+    }
+
+    const directComparisons = [];
+    // the direct comparison each study level effect belongs to, and whether its direction is flipped
+    const comparisonMapping = this._studyLevelEffects.map(({ treatment1, treatment2 }) => {
+      const ix = directComparisons.findIndex(([a, b]) => (a === treatment1 && b === treatment2) ||
+        (a === treatment2 && b === treatment1));
+      if (ix < 0) {
+        directComparisons.push([treatment1, treatment2]);
+        return { comparisonIx: directComparisons.length - 1, sign: 1 };
+      }
+      return { comparisonIx: ix, sign: directComparisons[ix][0] === treatment1 ? 1 : -1 };
+    });
+
+    const nTreatments = this._treatments.length;
+    const networkEstimates = [];
+    for (let i = 0; i < nTreatments - 1; i++) {
+      for (let j = i + 1; j < nTreatments; j++) {
+        if (Number.isNaN(this._treatmentEffects.get(i, j))) {
+          continue;
+        }
+
+        // aggregate the study level hat matrix weights to direct comparisons
+        const hatRow = this._hatMatrix.getRow(_pairIndex(i, j, nTreatments));
+        const comparisonWeights = directComparisons.map(() => 0);
+        comparisonMapping.forEach(({ comparisonIx, sign }, ix) => {
+          comparisonWeights[comparisonIx] += sign * hatRow[ix];
+        });
+
+        const contributions = _decomposeFlow(this._treatments[i], this._treatments[j], directComparisons,
+          comparisonWeights);
+        const totalContribution = contributions.reduce((a, b) => a + b, 0);
+        networkEstimates.push({
+          treatment1: this._treatments[i],
+          treatment2: this._treatments[j],
+          contributions: contributions.map((c) => 100 * c / totalContribution),
+        });
+      }
+    }
+
+    return {
+      directComparisons,
+      networkEstimates,
+    };
   }
 }
 
@@ -427,6 +717,8 @@ function _NMA(effects, standardErrors, treatmentIndicesA, treatmentIndicesB, stu
 
   const G = BObserved.mmul(LInv).mmul(BObserved.transpose());
   const H = G.mmul(W);
+  // the hat matrix mapping observed contrasts to network estimates of every pair of treatments
+  const HAll = _buildAllPairwiseContrasts(nTreatments).mmul(LInv).mmul(BObserved.transpose()).mmul(W);
 
   // NMA effects at the study level
   const treatmentEffectMatrix = Matrix.columnVector(effects);
@@ -492,14 +784,18 @@ function _NMA(effects, standardErrors, treatmentIndicesA, treatmentIndicesB, stu
     }
   }
   const df1 = _computeDF1(studies);
-  const df = df1 - (nTreatments - 1);
+  // df1 is computed in floating point, and may be off an integer by rounding errors (e.g. -4.4e-16 for a single study of
+  // 5 arms)
+  const df = Math.round(df1 - (nTreatments - 1));
   const v = Matrix.columnVector(effects);
   const teDiff = Matrix.subtract(v, Matrix.columnVector(consistentContrastEffects));
   const Q = teDiff.transpose().mmul(W).mmul(teDiff).get(0, 0);
   const I = Matrix.identity(m, m);
   const eMod = Matrix.multiply(BObserved.mmul(BObserved.transpose()), Matrix.divide(E, 2));
   const computedTau2 = (Q - df) / Matrix.subtract(I, H).mmul(eMod).mmul(W).trace();
-  const tauComputed = Math.sqrt(Math.max(0, computedTau2));
+  // with no degrees of freedom (e.g. a single study, or a tree of comparisons), Q & its denominator are both 0, and there
+  // is no heterogeneity to estimate
+  const tauComputed = df === 0 ? 0 : Math.sqrt(Math.max(0, computedTau2));
 
   return {
     consistentContrastEffects: consistentContrastEffects,
@@ -508,6 +804,7 @@ function _NMA(effects, standardErrors, treatmentIndicesA, treatmentIndicesB, stu
     tau: tauComputed,
     q: Q,
     dfQ: df,
+    hatMatrix: HAll,
   };
 }
 
@@ -606,19 +903,36 @@ function _preconditionUniqueTreatments(studies, treatments) {
   });
 }
 
+/**
+ * @param {Number} i
+ * @param {Number} j greater than i
+ * @param {Number} nTreatments
+ * @return {Number} the row of the (i, j) contrast in the matrix generated by `_buildAllPairwiseContrasts`
+ * @private
+ */
+function _pairIndex(i, j, nTreatments) {
+  return i * nTreatments - i * (i + 1) / 2 + (j - i - 1);
+}
+
 function _mergeComponentNMAResults(results) {
   // preconditions will have guaranteed at least one component and therefore one result
   let treatmentEffects = results[0].treatmentEffects;
   let standardErrors = results[0].standardErrors;
   let orderedTreatments = results[0].orderedTreatments;
   let studyLevelEffects = results[0].studyLevelEffects;
+  let designs = results[0].designs;
+  let hatMatrix = results[0].hatMatrix;
+  const components = results.map((r) => ({ treatments: r.orderedTreatments, tau: r.tau, dfQ: r.dfQ }));
 
   let q = results[0].q;
   let df = results[0].dfQ;
 
   results.slice(1).forEach((r) => {
+    const nTreatments = orderedTreatments.length;
+    const rTreatments = r.orderedTreatments.length;
     orderedTreatments = orderedTreatments.concat(r.orderedTreatments);
     studyLevelEffects = studyLevelEffects.concat(r.studyLevelEffects);
+    designs = designs.concat(r.designs);
 
     const newTreatmentEffects = Matrix.zeros(
       treatmentEffects.rows + r.treatmentEffects.rows,
@@ -634,6 +948,24 @@ function _mergeComponentNMAResults(results) {
     newStandardErrors.setSubMatrix(r.standardErrors, standardErrors.rows, standardErrors.columns);
     standardErrors = newStandardErrors;
 
+    // pairs of treatments in different components have no network estimate, and therefore no hat matrix weights
+    const newHatMatrix = Matrix.zeros(
+      (nTreatments + rTreatments) * (nTreatments + rTreatments - 1) / 2,
+      hatMatrix.columns + r.hatMatrix.columns);
+    for (let i = 0; i < nTreatments - 1; i++) {
+      for (let j = i + 1; j < nTreatments; j++) {
+        newHatMatrix.setSubMatrix(hatMatrix.getRowVector(_pairIndex(i, j, nTreatments)),
+          _pairIndex(i, j, nTreatments + rTreatments), 0);
+      }
+    }
+    for (let i = 0; i < rTreatments - 1; i++) {
+      for (let j = i + 1; j < rTreatments; j++) {
+        newHatMatrix.setSubMatrix(r.hatMatrix.getRowVector(_pairIndex(i, j, rTreatments)),
+          _pairIndex(nTreatments + i, nTreatments + j, nTreatments + rTreatments), hatMatrix.columns);
+      }
+    }
+    hatMatrix = newHatMatrix;
+
     q += r.q;
     df += r.dfQ;
   });
@@ -643,40 +975,102 @@ function _mergeComponentNMAResults(results) {
     standardErrors,
     orderedTreatments,
     studyLevelEffects,
+    designs,
+    hatMatrix,
+    components,
     q,
     dfQ: df,
   };
 }
 
 /**
+ * fit an NMA on a single connected component of the network
  *
- * @param studies {Array}
- * @param treatments {Array}
- * @param buildContrasts {Function} a function like _buildAllPairsORStatistics that generates pairs of arms implying treatment effects
- * @param parameters {Object} }an object with array attributes to be consumed by `buildContrasts`. arrays should share length for correct indexing
+ * @param {Array} contrastStudies the study label, for each contrast
+ * @param {Array} treatmentsA treatment applied to the "numerator" in each contrast
+ * @param {Array} treatmentsB treatment applied to the "denominator" in each contrast
+ * @param {Array<Number>} effects observed treatment effects
+ * @param {Array<Number>} standardErrors standard errors of the observed treatment effects
+ * @param {Array<Number>} comparisonNs the number of units behind each contrast
+ * @param {Boolean} randomEffects whether or not random effects should be modeled
+ * @return {{treatmentEffects: Matrix, standardErrors: Matrix, orderedTreatments: Array, studyLevelEffects: Array, tau: Number, q: Number, dfQ: Number}}
+ * `tau` is undefined for fixed effects models
+ * @private
+ */
+function _componentNMA(contrastStudies, treatmentsA, treatmentsB, effects, standardErrors, comparisonNs, randomEffects) {
+  const preprocessedData = _computePrerequisites(standardErrors, treatmentsA, treatmentsB, contrastStudies);
+  let nmaData = _NMA(effects, preprocessedData.standardErrors, preprocessedData.treatmentIndicesA,
+    preprocessedData.treatmentIndicesB, contrastStudies);
+  const q = nmaData.q;
+  const dfQ = nmaData.dfQ;
+  let modelStandardErrors = preprocessedData.standardErrors;
+  let tau;
+
+  if (randomEffects) {
+    // with random effects, we are deriving tau from the fixed effects model - this amounts to a DerSimonian-Laird estimator
+    tau = nmaData.tau;
+    // since we weight differently with tau, we need to recompute the "prerequisites"
+    const preprocessedRFData = _computePrerequisites(standardErrors, treatmentsA, treatmentsB, contrastStudies, tau);
+    nmaData = _NMA(effects, preprocessedRFData.standardErrors, preprocessedRFData.treatmentIndicesA,
+      preprocessedRFData.treatmentIndicesB, contrastStudies);
+    modelStandardErrors = preprocessedRFData.standardErrors;
+  }
+
+  const studyLevelEffects = contrastStudies.map((s, ix) => ({
+    study: s,
+    treatment1: treatmentsA[ix],
+    treatment2: treatmentsB[ix],
+    effect: effects[ix],
+    se: standardErrors[ix],
+    // the standard error the contrast is weighted by in the model, after multi-arm and random effects adjustments
+    adjustedSE: modelStandardErrors[ix],
+    comparisonN: comparisonNs[ix],
+  }));
+
+  // the design of a study is the set of treatments it compares
+  const designs = Array.from(new Set(contrastStudies)).map((s) => {
+    const studyTreatments = _setUnion(
+      treatmentsA.filter((t, ix) => contrastStudies[ix] === s),
+      treatmentsB.filter((t, ix) => contrastStudies[ix] === s));
+    return {
+      study: s,
+      treatments: preprocessedData.orderedTreatments.filter((t) => studyTreatments.has(t)),
+    };
+  });
+
+  return {
+    treatmentEffects: nmaData.treatmentEffects,
+    standardErrors: nmaData.standardErrors,
+    orderedTreatments: preprocessedData.orderedTreatments,
+    studyLevelEffects,
+    designs,
+    hatMatrix: nmaData.hatMatrix,
+    tau,
+    q,
+    dfQ,
+  };
+}
+
+/**
+ * Fit an NMA to each connected component of a network, merging the results. Studies are assigned to the component
+ * containing their treatments, and contribute the contrasts returned by `buildStudyContrasts`
+ *
+ * @param studies {Array} labels indicating the study each row belongs to
+ * @param treatments {Array} a treatment of each row, used to assign its study to a component
+ * @param components {Array<Array>} the connected components of the network, as arrays of their treatments
+ * @param buildStudyContrasts {Function} a function of a study and the indices of its rows, returning its contrasts as
+ *   treatmentsA, treatmentsB, effects, standardErrors and comparisonNs arrays
  * @param comparisonStatistic {Object} one of the `ComparisonStatistics` used for mapping between modelled and human-interpretable spaces
  * @param randomEffects {Boolean} whether or not random effects should be modeled
  * @return {NetworkMetaAnalysis}
+ * @private
  */
-function _generalizedNMA(studies, treatments, buildContrasts, parameters, comparisonStatistic, randomEffects=false) {
-  if (studies.length === 0) {
-    // https://github.com/mljs/matrix/issues/113 limits the API we can provide
-    throw new Error('Must have 1 or more studies to perform an NMA');
-  }
-
+function _componentwiseNMA(studies, treatments, components, buildStudyContrasts, comparisonStatistic, randomEffects) {
   const studyIxTuples = studies.map((s, ix) => [s, ix]);
 
-  const components = getConnectedComponents(studies, treatments);
   const componentResults = components.map((comp) => {
-    const componentIxs = [];
-    treatments.forEach((t, ix) => {
-      if (comp.indexOf(t) > -1) {
-        componentIxs.push(ix);
-      }
-    });
-
     const uniqueStudiesInComponent = [ ...(new Set(studyIxTuples
-      .filter(([s, ix]) => componentIxs.indexOf(ix) > -1)
+      .filter(([s, ix]) => comp.indexOf(treatments[ix]) > -1)
       .map(([s, ix]) => s))) ];
     const treatmentsA = [];
     const treatmentsB = [];
@@ -685,15 +1079,9 @@ function _generalizedNMA(studies, treatments, buildContrasts, parameters, compar
     const comparisonNs = [];
     const contrastStudies = [];
 
-    uniqueStudiesInComponent.map((s) => {
+    uniqueStudiesInComponent.forEach((s) => {
       const studyIxs = studyIxTuples.filter(tup => tup[0] === s).map(tup => tup[1]);
-      const studyTreatments = studyIxs.map((ix) => treatments[ix]);
-      const studyParameters = {};
-      Object.entries(parameters).forEach(([param, arr]) => {
-        studyParameters[param] = studyIxs.map((ix) => arr[ix]);
-      })
-
-      const studyContrasts = buildContrasts(studyTreatments, studyParameters);
+      const studyContrasts = buildStudyContrasts(s, studyIxs);
       treatmentsA.push(...studyContrasts.treatmentsA);
       treatmentsB.push(...studyContrasts.treatmentsB);
       effects.push(...studyContrasts.effects);
@@ -704,42 +1092,39 @@ function _generalizedNMA(studies, treatments, buildContrasts, parameters, compar
       }
     });
 
-    const studyLevelEffects = contrastStudies.map((s, ix) => ({
-      study: s,
-      treatment1: treatmentsA[ix],
-      treatment2: treatmentsB[ix],
-      effect: effects[ix],
-      se: standardErrors[ix],
-      comparisonN: comparisonNs[ix],
-    }));
-
-    const preprocessedData = _computePrerequisites(standardErrors, treatmentsA, treatmentsB, contrastStudies);
-    let nmaData = _NMA(effects, preprocessedData.standardErrors, preprocessedData.treatmentIndicesA,
-      preprocessedData.treatmentIndicesB, contrastStudies);
-    const q = nmaData.q;
-    const dfQ = nmaData.dfQ;
-
-    if (randomEffects) {
-      // with random effects, we are deriving tau from the fixed effects model - this amounts to a DerSimonian-Laird estimator
-      const tau = nmaData.tau;
-      // since we weight differently with tau, we need to recompute the "prerequisites"
-      const preprocessedRFData = _computePrerequisites(standardErrors, treatmentsA, treatmentsB, contrastStudies, tau);
-      nmaData = _NMA(effects, preprocessedRFData.standardErrors, preprocessedRFData.treatmentIndicesA,
-        preprocessedRFData.treatmentIndicesB, contrastStudies);
-    }
-
-    return {
-      treatmentEffects: nmaData.treatmentEffects,
-      standardErrors: nmaData.standardErrors,
-      orderedTreatments: preprocessedData.orderedTreatments,
-      studyLevelEffects,
-      q,
-      dfQ,
-    };
+    return _componentNMA(contrastStudies, treatmentsA, treatmentsB, effects, standardErrors, comparisonNs,
+      randomEffects);
   });
 
-  const { treatmentEffects, standardErrors, orderedTreatments, studyLevelEffects, q, dfQ } = _mergeComponentNMAResults(componentResults);
-  return new NetworkMetaAnalysis(treatmentEffects, standardErrors, orderedTreatments, studyLevelEffects, comparisonStatistic, q, dfQ);
+  const { treatmentEffects, standardErrors, orderedTreatments, studyLevelEffects, designs, hatMatrix,
+    components: fittedComponents, q, dfQ } = _mergeComponentNMAResults(componentResults);
+  return new NetworkMetaAnalysis(treatmentEffects, standardErrors, orderedTreatments, studyLevelEffects, comparisonStatistic, q, dfQ, designs, hatMatrix, fittedComponents);
+}
+
+/**
+ *
+ * @param studies {Array}
+ * @param treatments {Array}
+ * @param buildContrasts {Function} a function like _buildAllPairsORStatistics that generates pairs of arms implying treatment effects
+ * @param parameters {Object} }an object with array attributes to be consumed by `buildContrasts`. arrays should share length for correct indexing
+ * @param comparisonStatistic {Object} one of the `ComparisonStatistics` used for mapping between modelled and human-interpretable spaces
+ * @param randomEffects {Boolean} whether or not random effects should be modeled
+ * @return {NetworkMetaAnalysis}
+ */
+function _generalizedNMA(studies, treatments, buildContrasts, parameters, comparisonStatistic, randomEffects=false) {
+  if (studies.length === 0) {
+    // https://github.com/mljs/matrix/issues/113 limits the API we can provide
+    throw new Error('Must have 1 or more studies to perform an NMA');
+  }
+
+  return _componentwiseNMA(studies, treatments, getConnectedComponents(studies, treatments), (s, studyIxs) => {
+    const studyTreatments = studyIxs.map((ix) => treatments[ix]);
+    const studyParameters = {};
+    Object.entries(parameters).forEach(([param, arr]) => {
+      studyParameters[param] = studyIxs.map((ix) => arr[ix]);
+    })
+    return buildContrasts(studyTreatments, studyParameters);
+  }, comparisonStatistic, randomEffects);
 }
 
 /**
@@ -782,6 +1167,109 @@ function _buildAllPairsORStatistics(treatments, params, incr = .5) {
   };
 }
 
+/**
+ * build every pairwise contrast between the arms of a single study
+ *
+ * @param {Array} treatments condition applied to each study arm
+ * @param {Function} computeContrast a function of arm indices (i, j) returning an object with `effect`, `se`, and `n`
+ * @return {{treatmentsA: Array, treatmentsB: Array, effects: Array<Number>, standardErrors: Array<Number>, comparisonNs: Array<Number>}}
+ * @private
+ */
+function _buildAllPairsStatistics(treatments, computeContrast) {
+  const nPairs = treatments.length * (treatments.length - 1) / 2;
+  const treatmentsA = new Array(nPairs);
+  const treatmentsB = new Array(nPairs);
+  const effects = new Array(nPairs);
+  const standardErrors = new Array(nPairs);
+  const comparisonNs = new Array(nPairs);
+
+  let ix = 0; // because the ix = f(i,j) arithmetic is no fun
+  for (let i = 0; i < treatments.length - 1; i++) {
+    for (let j = i + 1; j < treatments.length; j++) {
+      const { effect, se, n } = computeContrast(i, j);
+      treatmentsA[ix] = treatments[i];
+      treatmentsB[ix] = treatments[j];
+      effects[ix] = effect;
+      standardErrors[ix] = se;
+      comparisonNs[ix] = n;
+
+      ix += 1;
+    }
+  }
+
+  return {
+    treatmentsA,
+    treatmentsB,
+    effects,
+    standardErrors,
+    comparisonNs,
+  };
+}
+
+/**
+ * determines if any arm of a study has a zero cell (no events or all events), in which case risk based effects are
+ * undefined without a continuity correction
+ *
+ * @param {Array<Number>} positiveCounts
+ * @param {Array<Number>} totalCounts
+ * @return {Boolean}
+ * @private
+ */
+function _hasZeroCell(positiveCounts, totalCounts) {
+  return positiveCounts.some((pc, ix) => pc === 0 || pc === totalCounts[ix]);
+}
+
+/**
+ * note all RRs are log (base e) transformed to get a symmetric sampling distribution
+ *
+ * mimicking `meta::pairwise`, the continuity correction is only applied to studies with a zero cell in any arm, in which
+ * case it is applied to every arm of the study. unlike `meta`, studies with zero events in all arms are retained.
+ *
+ * @param {Array} treatments condition applied to each study arm
+ * @param {Number} incr continuity correction, added to positive and negative counts of studies with any zero cells
+ */
+function _buildAllPairsRRStatistics(treatments, params, incr = .5) {
+  const { positiveCounts, totalCounts } = params;
+  const studyIncr = _hasZeroCell(positiveCounts, totalCounts) ? incr : 0;
+
+  return _buildAllPairsStatistics(treatments, (i, j) => {
+    const pi = positiveCounts[i] + studyIncr;
+    const ti = totalCounts[i] + 2 * studyIncr;
+    const pj = positiveCounts[j] + studyIncr;
+    const tj = totalCounts[j] + 2 * studyIncr;
+    return {
+      effect: Math.log((pi / ti) / (pj / tj)),
+      se: Math.sqrt(1 / pi - 1 / ti + 1 / pj - 1 / tj),
+      n: totalCounts[i] + totalCounts[j],
+    };
+  });
+}
+
+/**
+ * risk differences are computed on the raw proportions. as in `meta`, the continuity correction (only for studies with
+ * a zero cell in any arm) is only applied in computing standard errors, which would otherwise be 0 for degenerate
+ * proportions
+ *
+ * @param {Array} treatments condition applied to each study arm
+ * @param {Number} incr continuity correction, added to positive and negative counts of studies with any zero cells
+ */
+function _buildAllPairsRDStatistics(treatments, params, incr = .5) {
+  const { positiveCounts, totalCounts } = params;
+  const studyIncr = _hasZeroCell(positiveCounts, totalCounts) ? incr : 0;
+
+  return _buildAllPairsStatistics(treatments, (i, j) => {
+    const pi = positiveCounts[i] + studyIncr;
+    const ti = totalCounts[i] + 2 * studyIncr;
+    const pj = positiveCounts[j] + studyIncr;
+    const tj = totalCounts[j] + 2 * studyIncr;
+    return {
+      effect: positiveCounts[i] / totalCounts[i] - positiveCounts[j] / totalCounts[j],
+      se: Math.sqrt(pi * (ti - pi) / Math.pow(ti, 3) + pj * (tj - pj) / Math.pow(tj, 3)),
+      n: totalCounts[i] + totalCounts[j],
+    };
+  });
+}
+
 /**
  * throws an error for various inputs not amenable to NMA or that are just inconsistent: mismatched lengths, incorrect
  * counts, non-unique treatment arms
@@ -792,7 +1280,7 @@ function _buildAllPairsORStatistics(treatments, params, incr = .5) {
  * @param {Array<Number>} totalCounts
  * @private
  */
-function _ORNMAPreconditions(studies, treatments, positiveCounts, totalCounts) {
+function _binomialNMAPreconditions(studies, treatments, positiveCounts, totalCounts) {
   if (studies.length !== treatments.length || studies.length !== positiveCounts.length ||
     studies.length !== totalCounts.length) {
     throw new Error(
@@ -825,7 +1313,7 @@ function _ORNMAPreconditions(studies, treatments, positiveCounts, totalCounts) {
  * @return {NetworkMetaAnalysis}
  */
 function oddsRatioNMA(studies, treatments, positiveCounts, totalCounts, randomEffects=true) {
-  _ORNMAPreconditions(studies, treatments, positiveCounts, totalCounts);
+  _binomialNMAPreconditions(studies, treatments, positiveCounts, totalCounts);
 
   return _generalizedNMA(studies, treatments, _buildAllPairsORStatistics, {
     positiveCounts,
@@ -833,6 +1321,128 @@ function oddsRatioNMA(studies, treatments, positiveCounts, totalCounts, randomEf
   }, ComparisonStatistic.OR, randomEffects);
 }
 
+/**
+ * Perform a Network Meta-Analysis (NMA) on discrete, binomial outcomes, using a Risk Ratio (RR, also known as relative
+ * risk) as the basis of comparison. Studies with zero cells in any arm receive a continuity correction of .5.
+ *
+ * Input data is all array based (imagine arrays as columns of a table), with each "row" representing a study arm.
+ *
+ * @param {Array} studies unique labels indicating the study an arm belongs to
+ * @param {Array} treatments the condition applied each arm of the study; can be any type, but must be unique
+ * @param {Array<Number>} positiveCounts observed positive (numerator) outcomes in each study arm
+ * @param {Array<Number>} totalCounts total number of units in each study arm
+ * @param {Boolean} randomEffects whether or not random effects should be modeled (using the DerSimonian-Laird estimator)
+ * @return {NetworkMetaAnalysis}
+ */
+function riskRatioNMA(studies, treatments, positiveCounts, totalCounts, randomEffects=true) {
+  _binomialNMAPreconditions(studies, treatments, positiveCounts, totalCounts);
+
+  return _generalizedNMA(studies, treatments, _buildAllPairsRRStatistics, {
+    positiveCounts,
+    totalCounts,
+  }, ComparisonStatistic.RR, randomEffects);
+}
+
+/**
+ * Perform a Network Meta-Analysis (NMA) on discrete, binomial outcomes, using a Risk Difference (RD) as the
+ * basis of comparison. Studies with zero cells in any arm receive a continuity correction of .5 in computing standard
+ * errors (but not effects).
+ *
+ * Input data is all array based (imagine arrays as columns of a table), with each "row" representing a study arm.
+ *
+ * @param {Array} studies unique labels indicating the study an arm belongs to
+ * @param {Array} treatments the condition applied each arm of the study; can be any type, but must be unique
+ * @param {Array<Number>} positiveCounts observed positive (numerator) outcomes in each study arm
+ * @param {Array<Number>} totalCounts total number of units in each study arm
+ * @param {Boolean} randomEffects whether or not random effects should be modeled (using the DerSimonian-Laird estimator)
+ * @return {NetworkMetaAnalysis}
+ */
+function riskDifferenceNMA(studies, treatments, positiveCounts, totalCounts, randomEffects=true) {
+  _binomialNMAPreconditions(studies, treatments, positiveCounts, totalCounts);
+
+  return _generalizedNMA(studies, treatments, _buildAllPairsRDStatistics, {
+    positiveCounts,
+    totalCounts,
+  }, ComparisonStatistic.RD, randomEffects);
+}
+
+/**
+ * note all IRRs are log (base e) transformed to get a symmetric sampling distribution
+ *
+ * mimicking `meta::metainc`, the continuity correction is only applied to studies with zero events in any arm, in which
+ * case it is applied to the events of every arm of the study
+ *
+ * @param {Array} treatments condition applied to each study arm
+ * @param {Number} incr continuity correction, added to event counts of studies with any zero event arms
+ */
+function _buildAllPairsIRRStatistics(treatments, params, incr = .5) {
+  const { events, personTime } = params;
+  const studyIncr = events.some((e) => e === 0) ? incr : 0;
+
+  return _buildAllPairsStatistics(treatments, (i, j) => {
+    const ei = events[i] + studyIncr;
+    const ej = events[j] + studyIncr;
+    return {
+      effect: Math.log((ei / personTime[i]) / (ej / personTime[j])),
+      se: Math.sqrt(1 / ei + 1 / ej),
+      // without arm sizes, total exposure stands in for the size of the comparison
+      n: personTime[i] + personTime[j],
+    };
+  });
+}
+
+/**
+ * throws an error for various inputs not amenable to NMA or that are just inconsistent: mismatched lengths, negative
+ * counts, non-positive person-time, non-unique treatment arms
+ *
+ * @param {Array} studies
+ * @param {Array} treatments
+ * @param {Array<Number>} events
+ * @param {Array<Number>} personTime
+ * @private
+ */
+function _IRRNMAPreconditions(studies, treatments, events, personTime) {
+  if (studies.length !== treatments.length || studies.length !== events.length ||
+    studies.length !== personTime.length) {
+    throw new Error(
+      `Studies (n=${studies.length}), treatments (n=${treatments.length}), events (n=${events.length}), and person-time (n=${personTime.length}) do not have the same length, as required.`);
+  }
+
+  events.forEach((e, ix) => {
+    if (e < 0) {
+      throw new Error(`At row ${ix}, event count (${e}) is negative`);
+    }
+    if (!(personTime[ix] > 0)) {
+      throw new Error(`At row ${ix}, person-time (${personTime[ix]}) is not positive`);
+    }
+  });
+
+  _preconditionUniqueTreatments(studies, treatments);
+}
+
+/**
+ * Perform a Network Meta-Analysis (NMA) on count outcomes observed over varying exposure (e.g. adverse events per
+ * person-years), using an Incidence Rate Ratio (IRR) as the basis of comparison. Studies with zero events in any arm
+ * receive a continuity correction of .5 events.
+ *
+ * Input data is all array based (imagine arrays as columns of a table), with each "row" representing a study arm.
+ *
+ * @param {Array} studies unique labels indicating the study an arm belongs to
+ * @param {Array} treatments the condition applied each arm of the study; can be any type, but must be unique
+ * @param {Array<Number>} events observed event counts in each study arm
+ * @param {Array<Number>} personTime total exposure time (e.g. person-years) in each study arm
+ * @param {Boolean} randomEffects whether or not random effects should be modeled (using the DerSimonian-Laird estimator)
+ * @return {NetworkMetaAnalysis}
+ */
+function incidenceRateRatioNMA(studies, treatments, events, personTime, randomEffects=true) {
+  _IRRNMAPreconditions(studies, treatments, events, personTime);
+
+  return _generalizedNMA(studies, treatments, _buildAllPairsIRRStatistics, {
+    events,
+    personTime,
+  }, ComparisonStatistic.IRR, randomEffects);
+}
+
 /**
  * throws an error for various inputs not amenable to NMA or that are just inconsistent: mismatched lengths or
  * non-unique treatment arms
@@ -853,6 +1463,13 @@ function _MDNMAPreconditions(studies, treatments, means, standardDeviations) {
   _preconditionUniqueTreatments(studies, treatments);
 }
 
+function _preconditionMeans(means) {
+  const missingIx = means.findIndex((m) => !m && m !== 0);
+  if (missingIx >= 0) {
+    throw new Error(`Mean at index ${missingIx} is missing`);
+  }
+}
+
 function _buildAllPairsMeanDifferenceStatistics(treatments, params) {
   const { means, standardDeviations, ns } = params;
   const nPairs = treatments.length * (treatments.length - 1) / 2;
@@ -886,6 +1503,38 @@ function _buildAllPairsMeanDifferenceStatistics(treatments, params) {
   }
 }
 
+/**
+ * standardized mean differences, using the pooled (within contrast) standard deviation as the standardizer. standard
+ * errors follow the Cochrane handbook (as implemented in RevMan)
+ *
+ * @param {Array} treatments condition applied to each study arm
+ * @param {String} method either 'Hedges' (Hedges' g, with small-sample bias correction) or 'Cohen' (Cohen's d)
+ */
+function _buildAllPairsSMDStatistics(treatments, params, method = 'Hedges') {
+  const { means, standardDeviations, ns } = params;
+
+  return _buildAllPairsStatistics(treatments, (i, j) => {
+    const N = ns[i] + ns[j];
+    const pooledSD = Math.sqrt(((ns[i] - 1) * Math.pow(standardDeviations[i], 2) +
+      (ns[j] - 1) * Math.pow(standardDeviations[j], 2)) / (N - 2));
+    const d = (means[i] - means[j]) / pooledSD;
+    if (method === 'Cohen') {
+      return {
+        effect: d,
+        se: Math.sqrt(N / (ns[i] * ns[j]) + Math.pow(d, 2) / (2 * N)),
+        n: N,
+      };
+    }
+
+    const g = d * (1 - 3 / (4 * N - 9));
+    return {
+      effect: g,
+      se: Math.sqrt(N / (ns[i] * ns[j]) + Math.pow(g, 2) / (2 * (N - 3.94))),
+      n: N,
+    };
+  });
+}
+
 /**
  * Perform a Network Meta-Analysis (NMA) on continuous outcomes, using a mean difference as the
  * basis of comparison. Note that fixed effects models assume that all studies sample from the same effects
@@ -894,14 +1543,29 @@ function _buildAllPairsMeanDifferenceStatistics(treatments, params) {
  *
  * @param {Array} studies unique labels indicating the study an arm belongs to
  * @param {Array} treatments the condition applied each arm of the study; can be any type, but must be unique
- * @param {Array<Number>} means the measured mean of the outcome within the study arm
- * @param {Array<Number>} standardDeviations the measured standard deviation of the outcome within the study arm
+ * @param {Array<Number>} means the measured mean of the outcome within the study arm. entries may be undefined/null if
+ * estimable from `summaries`
+ * @param {Array<Number>} standardDeviations the measured standard deviation of the outcome within the study arm.
+ * entries may be undefined/null, and will be estimated from `summaries` if possible, or otherwise imputed
  * @param {Array<Number>} experimentalUnits the number of units measured within the study arm
  * @param {Boolean} randomEffects whether or not random effects should be modeled (using the DerSimonian-Laird estimator)
+ * @param {Object} options an object with optional attributes:
+ *   `summaries` an object of per-arm `median`, `q1`, `q3`, `min` & `max` arrays and the `methodMean` & `methodSD` of
+ *   estimating missing means & standard deviations from them (see `fillFromSummaries` in `shukra/conversion`)
+ *   `imputeSD` the method of imputing missing standard deviations; one of 'mean' (default), 'pooled', 'quantile',
+ *   'max', or a number to impute directly (see `imputeSDs` in `shukra/conversion`)
+ *   `imputeQuantile` the quantile of observed standard deviations to impute, for the 'quantile' method (default .75)
  * @return {NetworkMetaAnalysis}
  */
-function meanDifferenceNMA(studies, treatments, means, standardDeviations, experimentalUnits, randomEffects=true) {
+function meanDifferenceNMA(studies, treatments, means, standardDeviations, experimentalUnits, randomEffects=true,
+                           { summaries, imputeSD = 'mean', imputeQuantile = .75 } = {}) {
   _MDNMAPreconditions(studies, treatments, means, standardDeviations);
+  if (summaries) {
+    ({ mean: means, sd: standardDeviations } = fillFromSummaries(experimentalUnits, means, standardDeviations,
+      summaries));
+  }
+  _preconditionMeans(means);
+  ({ sd: standardDeviations } = imputeSDs(experimentalUnits, standardDeviations, imputeSD, imputeQuantile));
 
   return _generalizedNMA(studies, treatments, _buildAllPairsMeanDifferenceStatistics, {
     means,
@@ -910,9 +1574,297 @@ function meanDifferenceNMA(studies, treatments, means, standardDeviations, exper
   }, ComparisonStatistic.MD, randomEffects);
 }
 
+/**
+ * Perform a Network Meta-Analysis (NMA) on continuous outcomes, using a standardized mean difference (SMD) as the
+ * basis of comparison. Unlike `meanDifferenceNMA`, studies need not measure the outcome on the same scale (e.g. with
+ * different instruments), since each contrast is expressed in units of its pooled standard deviation.
+ *
+ * @param {Array} studies unique labels indicating the study an arm belongs to
+ * @param {Array} treatments the condition applied each arm of the study; can be any type, but must be unique
+ * @param {Array<Number>} means the measured mean of the outcome within the study arm
+ * @param {Array<Number>} standardDeviations the measured standard deviation of the outcome within the study arm
+ * @param {Array<Number>} experimentalUnits the number of units measured within the study arm
+ * @param {Boolean} randomEffects whether or not random effects should be modeled (using the DerSimonian-Laird estimator)
+ * @param {String} method either 'Hedges' (Hedges' g, default) or 'Cohen' (Cohen's d)
+ * @return {NetworkMetaAnalysis}
+ */
+function standardizedMeanDifferenceNMA(studies, treatments, means, standardDeviations, experimentalUnits,
+                                       randomEffects=true, method='Hedges') {
+  _MDNMAPreconditions(studies, treatments, means, standardDeviations);
+  if (method !== 'Hedges' && method !== 'Cohen') {
+    throw new Error(`Unrecognized SMD method '${method}'; expected 'Hedges' or 'Cohen'`);
+  }
+
+  return _generalizedNMA(studies, treatments,
+    (studyTreatments, params) => _buildAllPairsSMDStatistics(studyTreatments, params, method), {
+      means,
+      standardDeviations,
+      ns: experimentalUnits,
+    }, ComparisonStatistic.SMD, randomEffects);
+}
+
+/**
+ * throws an error for contrast-level inputs not amenable to NMA or that are just inconsistent: mismatched lengths,
+ * self-contrasts, non-positive standard errors, or unknown comparison statistics
+ *
+ * @param {Array} studies
+ * @param {Array} treatments1
+ * @param {Array} treatments2
+ * @param {Array<Number>} effects
+ * @param {Array<Number>} standardErrors
+ * @param {Object} comparisonStatistic
+ * @private
+ */
+function _contrastNMAPreconditions(studies, treatments1, treatments2, effects, standardErrors, comparisonStatistic) {
+  if (studies.length !== treatments1.length || studies.length !== treatments2.length ||
+    studies.length !== effects.length || studies.length !== standardErrors.length) {
+    throw new Error(
+      `Studies (n=${studies.length}), treatments (n1=${treatments1.length}, n2=${treatments2.length}), effects (n=${effects.length}), and standard errors (n=${standardErrors.length}) do not have the same length, as required.`);
+  }
+
+  if (!Object.values(ComparisonStatistic).includes(comparisonStatistic)) {
+    throw new Error('A comparisonStatistic from `ComparisonStatistic` must be supplied');
+  }
+
+  treatments1.forEach((t, ix) => {
+    if (t === treatments2[ix]) {
+      throw new Error(`At row ${ix}, treatment (${t}) is contrasted against itself`);
+    }
+    if (!(standardErrors[ix] > 0)) {
+      throw new Error(`At row ${ix}, standard error (${standardErrors[ix]}) is not positive`);
+    }
+  });
+}
+
+/**
+ * orders the contrasts reported by a single study to match the pairing of arms generated by the arm-level contrast
+ * builders (e.g. _buildAllPairsORStatistics), which is assumed in correcting multi-arm standard errors. contrasts
+ * reported in the opposite direction are inverted.
+ *
+ * @param study the study label
+ * @param {Array} treatments1 treatment applied to the "numerator" in each of the study's contrasts
+ * @param {Array} treatments2 treatment applied to the "denominator" in each of the study's contrasts
+ * @param {Array<Number>} effects
+ * @param {Array<Number>} standardErrors
+ * @return {{treatmentsA: Array, treatmentsB: Array, effects: Array<Number>, standardErrors: Array<Number>, comparisonNs: Array<Number>}}
+ * @private
+ */
+function _orderStudyContrasts(study, treatments1, treatments2, effects, standardErrors) {
+  const arms = Array.from(_setUnion(treatments1, treatments2));
+  const nPairs = arms.length * (arms.length - 1) / 2;
+  if (treatments1.length !== nPairs) {
+    throw new Error(`For study '${study}', ${treatments1.length} contrasts were supplied between ${arms.length} treatments; all ${nPairs} pairwise contrasts are required.`);
+  }
+
+  return _buildAllPairsStatistics(arms, (i, j) => {
+    const forwardIx = treatments1.findIndex((t, ix) => t === arms[i] && treatments2[ix] === arms[j]);
+    if (forwardIx > -1) {
+      return { effect: effects[forwardIx], se: standardErrors[forwardIx], n: undefined };
+    }
+    const reverseIx = treatments1.findIndex((t, ix) => t === arms[j] && treatments2[ix] === arms[i]);
+    if (reverseIx > -1) {
+      return { effect: -effects[reverseIx], se: standardErrors[reverseIx], n: undefined };
+    }
+    throw new Error(`For study '${study}', the contrast between ${arms[i]} and ${arms[j]} is missing.`);
+  });
+}
+
+/**
+ * Perform a Network Meta-Analysis (NMA) on pre-computed, contrast-level treatment effects, e.g. adjusted effects
+ * reported by studies where arm-level data is unavailable.
+ *
+ * Input data is all array based (imagine arrays as columns of a table), with each "row" representing a contrast.
+ * Effects must be supplied on the scale they are modeled on (e.g. log ORs for `ComparisonStatistic.OR`). Multi-arm
+ * studies must supply all pairwise contrasts between their arms (in any order or direction), so that their correlation
+ * can be accounted for.
+ *
+ * @param {Array} studies labels indicating the study a contrast belongs to
+ * @param {Array} treatments1 treatment applied to the "numerator" of each contrast
+ * @param {Array} treatments2 treatment applied to the "denominator" of each contrast
+ * @param {Array<Number>} effects observed treatment effect for each contrast (treatment1 vs. treatment2)
+ * @param {Array<Number>} standardErrors standard errors of the observed treatment effects
+ * @param {Object} comparisonStatistic one of the `ComparisonStatistic`s the effects are measured in
+ * @param {Boolean} randomEffects whether or not random effects should be modeled (using the DerSimonian-Laird estimator)
+ * @return {NetworkMetaAnalysis}
+ */
+function contrastNMA(studies, treatments1, treatments2, effects, standardErrors, comparisonStatistic,
+                     randomEffects=true) {
+  _contrastNMAPreconditions(studies, treatments1, treatments2, effects, standardErrors, comparisonStatistic);
+  if (studies.length === 0) {
+    throw new Error('Must have 1 or more studies to perform an NMA');
+  }
+
+  // each contrast contributes an edge, so it suffices to represent it as two "arms" of its study
+  const components = getConnectedComponents([...studies, ...studies], [...treatments1, ...treatments2]);
+  return _componentwiseNMA(studies, treatments1, components, (s, studyIxs) => _orderStudyContrasts(s,
+    studyIxs.map((ix) => treatments1[ix]),
+    studyIxs.map((ix) => treatments2[ix]),
+    studyIxs.map((ix) => effects[ix]),
+    studyIxs.map((ix) => standardErrors[ix])), comparisonStatistic, randomEffects);
+}
+
+function _isPresent(x) {
+  return x !== undefined && x !== null && !Number.isNaN(x);
+}
+
+/**
+ * Perform a Network Meta-Analysis (NMA) on time-to-event outcomes, using a Hazard Ratio (HR) as the basis of
+ * comparison. HRs are rarely computable from arm-level data, so each "row" of input represents a contrast reported
+ * by a study (e.g. from a Cox model). Multi-arm studies must report all pairwise contrasts.
+ *
+ * Each contrast requires an effect (`logHazardRatios` or, if absent, `hazardRatios`) and a standard error of the log HR
+ * (`standardErrors` or, if absent, derived from the CI bounds `lower` and `upper` on the HR scale). Rows may mix forms.
+ *
+ * @param {Array} studies labels indicating the study a contrast belongs to
+ * @param {Array} treatments1 treatment applied to the "numerator" of each contrast
+ * @param {Array} treatments2 treatment applied to the "denominator" of each contrast
+ * @param {Object} data
+ * @param {Array<Number>} data.logHazardRatios natural log of the HR (treatment1 vs. treatment2)
+ * @param {Array<Number>} data.standardErrors standard errors of the log HR
+ * @param {Array<Number>} data.hazardRatios the HR (treatment1 vs. treatment2), used where log HRs are missing
+ * @param {Array<Number>} data.lower lower CI bound of the HR, used where standard errors are missing
+ * @param {Array<Number>} data.upper upper CI bound of the HR, used where standard errors are missing
+ * @param {Number} data.width the width [0-1] of the supplied CIs
+ * @param {Boolean} randomEffects whether or not random effects should be modeled (using the DerSimonian-Laird estimator)
+ * @return {NetworkMetaAnalysis}
+ */
+function hazardRatioNMA(studies, treatments1, treatments2,
+                        { logHazardRatios = [], standardErrors = [], hazardRatios = [], lower = [], upper = [], width = .95 } = {},
+                        randomEffects=true) {
+  preconditionRange(width, 0, 1, 'width');
+  Object.entries({ logHazardRatios, standardErrors, hazardRatios, lower, upper }).forEach(([name, arr]) => {
+    if (arr.length && arr.length !== studies.length) {
+      throw new Error(`Studies (n=${studies.length}) and ${name} (n=${arr.length}) do not have the same length, as required.`);
+    }
+  });
+
+  const z = STD_NORMAL.ppf(1 - (1 - width) / 2);
+  const effects = studies.map((s, ix) => {
+    if (_isPresent(logHazardRatios[ix])) {
+      return logHazardRatios[ix];
+    }
+    if (hazardRatios[ix] > 0) {
+      return Math.log(hazardRatios[ix]);
+    }
+    throw new Error(`At row ${ix}, a log hazard ratio or positive hazard ratio is required`);
+  });
+  const logStandardErrors = studies.map((s, ix) => {
+    if (_isPresent(standardErrors[ix])) {
+      return standardErrors[ix];
+    }
+    if (lower[ix] > 0 && upper[ix] > lower[ix]) {
+      return (Math.log(upper[ix]) - Math.log(lower[ix])) / (2 * z);
+    }
+    throw new Error(`At row ${ix}, a standard error or valid confidence interval (0 < lower < upper) is required`);
+  });
+
+  return contrastNMA(studies, treatments1, treatments2, effects, logStandardErrors, ComparisonStatistic.HR,
+    randomEffects);
+}
+
+// arm-based NMAs sharing the signature (studies, treatments, ...per-arm data, randomEffects, options)
+const LEAVE_ONE_OUT_FITS = [oddsRatioNMA, riskRatioNMA, riskDifferenceNMA, incidenceRateRatioNMA, meanDifferenceNMA];
+
+/**
+ * Perform a leave-one-out sensitivity analysis, fitting the NMA without each study in turn. omissions are flagged where
+ * they change whether a comparison is significant at `1 - width`, disconnect the network (leave it with more
+ * connected components than with all studies), or drop treatments from it (those only compared in the omitted study,
+ * e.g. the end of a chain of comparisons).
+ *
+ * @param {Function} fit an arm-based NMA: one of `oddsRatioNMA`, `riskRatioNMA`, `riskDifferenceNMA`,
+ * `incidenceRateRatioNMA` or `meanDifferenceNMA`
+ * @param {Array} studies unique labels indicating the study an arm belongs to
+ * @param {Array} treatments the condition applied each arm of the study
+ * @param {Array<Array>} data an array of the per-arm arrays passed to `fit`, e.g. `[positiveCounts, totalCounts]` for
+ * `oddsRatioNMA`
+ * @param {Boolean} randomEffects whether or not random effects should be modeled
+ * @param {Number} width the width of intervals
+ * @param {Object} options the options of `fit`, if any
+ * @return an object with properties:
+ *   `nma` the NMA of all studies
+ *   `omissions` an array with an object for each study (in order of appearance), with properties `study`,
+ *   `disconnects`, `droppedTreatments` (an array, empty if no treatments are dropped), `i2`, `i2Lower` & `i2Upper`
+ *   (the `i2`, `lower` & `upper` of `computeISquared`, undefined where unavailable) and `comparisons`, an array of
+ *   objects with properties `treatment1`,
+ *   `treatment2`, `effect`, `lower`, `upper`, `p`, `tau2` (of the component, undefined for fixed effects) and
+ *   `changesSignificance`, for each pair of treatments estimable both with and without the study
+ */
+function leaveOneOutNMA(fit, studies, treatments, data, randomEffects=true, width=.95, options={}) {
+  if (LEAVE_ONE_OUT_FITS.indexOf(fit) < 0) {
+    throw new Error('Leave-one-out analysis is available for oddsRatioNMA, riskRatioNMA, riskDifferenceNMA, incidenceRateRatioNMA & meanDifferenceNMA');
+  }
+  if (!Array.isArray(data) || !data.length) {
+    throw new Error('Expected an array of per-arm data arrays');
+  }
+  const uniqueStudies = [ ...(new Set(studies)) ];
+  if (uniqueStudies.length < 2) {
+    throw new Error(`Leave-one-out analysis requires at least 2 studies; got ${uniqueStudies.length}`);
+  }
+
+  const nma = fit(studies, treatments, ...data, randomEffects, options);
+  const nComponents = getConnectedComponents(studies, treatments).length;
+  const alpha = 1 - width;
+  const fullTreatments = nma.getTreatments();
+
+  const omissions = uniqueStudies.map((study) => {
+    const ixs = studies.map((s, ix) => ix).filter((ix) => studies[ix] !== study);
+    const subset = (arr) => ixs.map((ix) => arr[ix]);
+    const subsetStudies = subset(studies);
+    const subsetTreatments = subset(treatments);
+    const subsetOptions = options.summaries ?
+      { ...options, summaries: subsetSummaries(options.summaries, ixs) } : options;
+    const omittedNMA = fit(subsetStudies, subsetTreatments, ...data.map(subset), randomEffects, subsetOptions);
+
+    const presentTreatments = omittedNMA.getTreatments();
+    const comparisons = [];
+    fullTreatments.forEach((treatment1, i) => {
+      fullTreatments.slice(i + 1).forEach((treatment2) => {
+        if (presentTreatments.indexOf(treatment1) < 0 || presentTreatments.indexOf(treatment2) < 0) {
+          return;
+        }
+        const full = nma.computeInferentialStatistics(treatment1, treatment2, width);
+        const { p, lower, upper } = omittedNMA.computeInferentialStatistics(treatment1, treatment2, width);
+        if (Number.isNaN(full.p) || Number.isNaN(p)) {
+          return;
+        }
+        comparisons.push({
+          treatment1,
+          treatment2,
+          effect: omittedNMA.getEffect(treatment1, treatment2),
+          lower,
+          upper,
+          p,
+          tau2: omittedNMA.getTau2(treatment1, treatment2),
+          changesSignificance: (p < alpha) !== (full.p < alpha),
+        });
+      });
+    });
+
+    const { i2, lower: i2Lower, upper: i2Upper } = omittedNMA.computeISquared(width) || {};
+    return {
+      study,
+      disconnects: getConnectedComponents(subsetStudies, subsetTreatments).length > nComponents,
+      droppedTreatments: fullTreatments.filter((treatment) => presentTreatments.indexOf(treatment) < 0),
+      i2,
+      i2Lower,
+      i2Upper,
+      comparisons,
+    };
+  });
+
+  return { nma, omissions };
+}
+
 module.exports = {
   NetworkMetaAnalysis,
   ComparisonStatistic,
   oddsRatioNMA: oddsRatioNMA,
+  riskRatioNMA: riskRatioNMA,
+  riskDifferenceNMA: riskDifferenceNMA,
   meanDifferenceNMA: meanDifferenceNMA,
+  standardizedMeanDifferenceNMA: standardizedMeanDifferenceNMA,
+  contrastNMA: contrastNMA,
+  hazardRatioNMA: hazardRatioNMA,
+  incidenceRateRatioNMA: incidenceRateRatioNMA,
+  leaveOneOutNMA: leaveOneOutNMA,
 };
\ No newline at end of file
@@ -1,22 +1,29 @@
-const { Matrix, inverse } = require('ml-matrix');
+const { Matrix, SingularValueDecomposition, inverse } = require('ml-matrix');
 const { sum, preconditionNotNull, preconditionLengthEquality, preconditionAllPositive, preconditionRange,
-  weightedQuantile, weightedMean, logistic, STD_NORMAL } = require('./util');
+  weightedQuantile, weightedMean, logistic, studentTQuantile, chiSquaredCDF, computeISquared,
+  computePredictionInterval, studentTCDF, gaussHermite, betaQuantile, STD_NORMAL } = require('./util');
+const { fillFromSummaries, imputeSDs, subsetSummaries } = require('./conversion');
 
 function crossProduct(A, B) {
   return A.transpose().mmul(B);
 }
 
+// the design matrix of a model with no moderators, just an intercept
+function _interceptDesign(se) {
+  return Matrix.columnVector(se.map(() => 1));
+}
+
 /**
  * computes the DerSimonian-Laird estimator of tau^2 (heterogeneity)
  * this routine is largely similar to what's implemented in metafor::rma.uni
  *
  * note minEstimator=0 is taken from rma.uni's default control settings (makes sense it must be at least non-negative)
+ * all estimators take a design matrix `X` of moderators (predictors in the regression), which defaults to an intercept
+ * only; tau^2 is then the residual heterogeneity unexplained by the moderators
  */
-function computeDLEstimator(te, se, minEstimator=0) {
+function computeDLEstimator(te, se, X=_interceptDesign(se), minEstimator=0) {
   const k = se.length;
-  const p = 1; // this is the number of "moderators" (predictors in the regression). we hardcode to 1, for the intercept
-  // no moderators, just an intercept
-  const X = Matrix.columnVector(se.map(() => 1));
+  const p = X.columns;
   const Y = Matrix.columnVector(te);
 
   const wVector = se.map((s) => 1 / Math.pow(s, 2));
@@ -28,6 +35,145 @@ function computeDLEstimator(te, se, minEstimator=0) {
   return Math.max((rss - (k - p)) / trP, minEstimator);
 }
 
+// the projection matrix P and generalized residual sum of squares Y'PY for weights 1 / (se^2 + tau2)
+function _weightedResiduals(te, se, tau2, X=_interceptDesign(se)) {
+  const Y = Matrix.columnVector(te);
+  const W = Matrix.diagonal(se.map((s) => 1 / (Math.pow(s, 2) + tau2)));
+  const stXWX = inverse(X.transpose().mmul(W).mmul(X));
+  const P = W.subtract(W.mmul(X).mmul(stXWX).mmul(crossProduct(X, W)));
+  return {
+    P,
+    Y,
+    rss: crossProduct(Y, P).mmul(Y).get(0, 0),
+  };
+}
+
+/**
+ * computes the Hedges (or Cunningham-Hedges) estimator of tau^2, an unweighted method of moments estimator
+ * mirrors metafor::rma.uni(method='HE')
+ */
+function computeHEEstimator(te, se, X=_interceptDesign(se), minEstimator=0) {
+  const k = se.length;
+  const p = X.columns;
+  const Y = Matrix.columnVector(te);
+
+  const V = Matrix.diagonal(se.map((s) => Math.pow(s, 2)));
+  const P = Matrix.identity(k, k).subtract(X.mmul(inverse(crossProduct(X, X))).mmul(X.transpose()));
+  const rss = crossProduct(Y, P).mmul(Y).get(0, 0);
+  const trPV = sum(P.mmul(V).diag());
+  return Math.max((rss - trPV) / (k - p), minEstimator);
+}
+
+/**
+ * computes the Sidik-Jonkman estimator of tau^2, which starts from the (ML) total variance of the effects and takes a
+ * single weighted step. note this estimator is strictly positive
+ * mirrors metafor::rma.uni(method='SJ')
+ */
+function computeSJEstimator(te, se, X=_interceptDesign(se)) {
+  const k = se.length;
+  const p = X.columns;
+  const Y = Matrix.columnVector(te);
+
+  const P0 = Matrix.identity(k, k).subtract(X.mmul(inverse(crossProduct(X, X))).mmul(X.transpose()));
+  const tau20 = crossProduct(Y, P0).mmul(Y).get(0, 0) / k;
+  return tau20 * _weightedResiduals(te, se, tau20, X).rss / (k - p);
+}
+
+/**
+ * computes the Paule-Mandel estimator of tau^2, the value at which the generalized Q statistic equals its expectation
+ * (k - 1). the root is found by bisection, since Q is monotonically decreasing in tau^2
+ * mirrors metafor::rma.uni(method='PM')
+ */
+function computePMEstimator(te, se, X=_interceptDesign(se), minEstimator=0, tolerance=1e-8) {
+  const k = se.length;
+  const p = X.columns;
+  const objective = (tau2) => _weightedResiduals(te, se, tau2, X).rss - (k - p);
+
+  if (objective(minEstimator) <= 0) {
+    return minEstimator;
+  }
+
+  let lower = minEstimator;
+  let upper = Math.max(computeSJEstimator(te, se, X), 1);
+  while (objective(upper) > 0) {
+    lower = upper;
+    upper *= 2;
+  }
+  while (upper - lower > tolerance) {
+    const mid = (lower + upper) / 2;
+    if (objective(mid) > 0) {
+      lower = mid;
+    } else {
+      upper = mid;
+    }
+  }
+  return (lower + upper) / 2;
+}
+
+/**
+ * computes the restricted maximum likelihood (REML) estimator of tau^2 with Fisher scoring, starting from the
+ * DerSimonian-Laird estimate. steps are halved as needed to respect `minEstimator`
+ * mirrors metafor::rma.uni(method='REML')
+ */
+function computeREMLEstimator(te, se, X=_interceptDesign(se), minEstimator=0, tolerance=1e-10, maxIterations=100) {
+  let tau2 = computeDLEstimator(te, se, X, minEstimator);
+  for (let i = 0; i < maxIterations; i++) {
+    const { P, Y } = _weightedResiduals(te, se, tau2, X);
+    const PP = P.mmul(P);
+    let adjustment = (crossProduct(Y, PP).mmul(Y).get(0, 0) - sum(P.diag())) / sum(PP.diag());
+    while (tau2 + adjustment < minEstimator) {
+      adjustment /= 2;
+      if (Math.abs(adjustment) < tolerance) {
+        return tau2;
+      }
+    }
+    tau2 += adjustment;
+    if (Math.abs(adjustment) < tolerance) {
+      break;
+    }
+  }
+  return tau2;
+}
+
+// an enum-like set of tau^2 estimators, keyed by their abbreviation in metafor & meta
+const TAU_ESTIMATORS = {
+  DL: computeDLEstimator,
+  REML: computeREMLEstimator,
+  PM: computePMEstimator,
+  SJ: computeSJEstimator,
+  HE: computeHEEstimator,
+};
+
+function preconditionTauMethod(tauMethod) {
+  if (typeof tauMethod === 'number') {
+    if (!(tauMethod >= 0)) {
+      throw new Error(`A fixed tau^2 must be non-negative; got ${tauMethod}`);
+    }
+    return;
+  }
+  if (!TAU_ESTIMATORS[tauMethod]) {
+    throw new Error(`Unrecognized tauMethod '${tauMethod}'; expected one of ${Object.keys(TAU_ESTIMATORS).join(', ')}`);
+  }
+}
+
+/**
+ * @param te an array of treatment effects
+ * @param se an array of standard errors of the treatment effects
+ * @param tauMethod one of 'DL' (DerSimonian-Laird), 'REML' (restricted maximum likelihood), 'PM' (Paule-Mandel),
+ * 'SJ' (Sidik-Jonkman), or 'HE' (Hedges). alternatively, a non-negative number at which tau^2 is fixed (as the `tau2`
+ * argument of metafor::rma.uni), e.g. to share a common tau^2 across subgroups
+ * @return {Number} the estimate of tau^2 (between study variance)
+ */
+function computeTau2(te, se, tauMethod='DL') {
+  preconditionTauMethod(tauMethod);
+  return _estimateTau2(te, se, tauMethod);
+}
+
+// tau^2 by the given (valid) tauMethod, for a design matrix `X` of moderators (an intercept only, if undefined)
+function _estimateTau2(te, se, tauMethod, X) {
+  return typeof tauMethod === 'number' ? tauMethod : TAU_ESTIMATORS[tauMethod](te, se, X);
+}
+
 function pooling(te, w) {
   return {
     tePooled: weightedMean(te, w),
@@ -35,16 +181,42 @@ function pooling(te, w) {
   };
 }
 
-function randomEffectsPooling(te, seTE) {
-  const tau2 = computeDLEstimator(te, seTE);
+/**
+ * @param te an array of treatment effects
+ * @param seTE an array of standard errors of the treatment effects
+ * @param tauMethod the estimator of tau^2, see `computeTau2`
+ * @param hksj whether to apply the Hartung-Knapp-Sidik-Jonkman adjustment to the pooled standard error. if so, CIs
+ * should be computed with t quantiles with k - 1 degrees of freedom
+ */
+function randomEffectsPooling(te, seTE, tauMethod='DL', hksj=false) {
+  const tau2 = computeTau2(te, seTE, tauMethod);
   const w = seTE.map((se) => {
     const denominator = (Math.pow(se, 2) + tau2);
     return denominator ? 1 / denominator : 0;
   });
 
-  return pooling(te, w);
+  const { tePooled, seTEPooled } = pooling(te, w);
+  if (!hksj) {
+    return { tePooled, seTEPooled, tau2 };
+  }
+  // scale the variance by the weighted residual variance of the effects (as in meta, without the ad hoc truncation at 1)
+  const scale = sum(te.map((t, ix) => w[ix] * Math.pow(t - tePooled, 2))) / (te.length - 1);
+  return {
+    tePooled,
+    seTEPooled: Math.sqrt(scale) * seTEPooled,
+    tau2,
+  };
+}
+
+// the (negative) critical value for a two-sided CI of the given width; t-based with k - 1 df under HKSJ
+function _criticalValue(width, k, hksj) {
+  return hksj ? studentTQuantile((1 - width) / 2, k - 1) : STD_NORMAL.ppf((1 - width) / 2);
 }
 
+/**
+ * @param te an array of treatment effects
+ * @param seTE an array of standard errors of the treatment effects
+ */
 function fixedEffectsPooling(te, seTE) {
   const w = seTE.map((se) => {
     const denominator = (Math.pow(se, 2));
@@ -53,47 +225,117 @@ function fixedEffectsPooling(te, seTE) {
   return pooling(te, w);
 }
 
+/**
+ * compute heterogeneity statistics for a pairwise meta-analysis, as reported by meta
+ *
+ * @param te an array of treatment effects
+ * @param seTE an array of standard errors of the treatment effects
+ * @param tauMethod the estimator of tau^2, see `computeTau2`
+ * @param width the width of the CI on I^2
+ * @return an object with attributes `q` (cochrane's Q, under fixed effects), `dfQ`, `pQ` (the p-value of the test of
+ * homogeneity), `tau2`, `tau`, `h` (sqrt(Q / df)), `i2`, and `i2Lower` & `i2Upper` (the CI on I^2, undefined
+ * where there is insufficient data)
+ */
+function computeHeterogeneity(te, seTE, tauMethod='DL', width=.95) {
+  const w = seTE.map((se) => {
+    const denominator = (Math.pow(se, 2));
+    return denominator ? 1 / denominator : 0;
+  });
+  const { tePooled } = pooling(te, w);
+  const q = sum(te.map((t, ix) => w[ix] * Math.pow(t - tePooled, 2)));
+  const dfQ = te.length - 1;
+  const tau2 = computeTau2(te, seTE, tauMethod);
+  const i2 = computeISquared(q, dfQ, width) || {};
+
+  return {
+    q,
+    dfQ,
+    pQ: 1 - chiSquaredCDF(q, dfQ),
+    tau2,
+    tau: Math.sqrt(tau2),
+    h: Math.sqrt(q / dfQ),
+    i2: i2.i2,
+    i2Lower: i2.lower,
+    i2Upper: i2.upper,
+  };
+}
+
+// the random effects prediction interval (on the pooled scale) with k - 2 df, or undefined for fewer than 3 studies.
+// note this uses the unadjusted random effects standard error, even if the pooled CI is computed with HKSJ
+function _predictionInterval(te, seTE, tauMethod, width) {
+  const { tePooled, seTEPooled, tau2 } = randomEffectsPooling(te, seTE, tauMethod);
+  return computePredictionInterval(tePooled, seTEPooled, tau2, te.length - 2, width);
+}
+
+/**
+ * the treatment effects (means) & standard errors of studies pooled by `pooledMean`, after estimating missing means &
+ * SDs from `summaries` and imputing any SDs still missing
+ * @return an object with attributes `te`, `seTE`, `imputed` (whether each study's SD was imputed) and `imputedSD`
+ * @private
+ */
+function _meanStudyEffects(n, mean, sd, summaries, imputeSD, imputeQuantile) {
+  if (summaries) {
+    ({ mean, sd } = fillFromSummaries(n, mean, sd, summaries));
+  }
+  preconditionNotNull(mean, 'mean');
+  // we DO allow sd to be null
+  preconditionAllPositive(sd, 'sd');
+
+  const { sd: sdImputed, imputedSD } = imputeSDs(n, sd, imputeSD, imputeQuantile);
+  return {
+    te: mean,
+    seTE: sdImputed.map((sdi, ix) => Math.sqrt(Math.pow(sdi, 2) / n[ix])),
+    imputed: sd.map((s) => !s && s !== 0),
+    imputedSD,
+  };
+}
+
 /**
  * Compute a pooled mean using inverse variance weighting & random effects.
- * If using random effects, Tau is computed via the DerSimonian-Laird estimator
- * Confidence intervals are obtained through normal approximations.
+ * If using random effects, Tau is computed via the DerSimonian-Laird estimator, unless otherwise specified
+ * Confidence intervals are obtained through normal approximations, or optionally the Hartung-Knapp-Sidik-Jonkman
+ * method (random effects only).
  *
- * Although it should be avoided as possible, missing SDs are imputed.
- * https://training.cochrane.org/handbook/archive/v6/chapter-06#section-6-5-2 weakly suggests using the average
- * or a larger quantile of in-sample SDs. `shukra` use the average for simplicity - buyer beware. The R package `meta` offers several
- * methods of computation from medians/iqrs/ranges; we may add at some point.
+ * Missing means & SDs may be estimated from medians, quartiles and/or ranges (see `summaries`). Although it should be
+ * avoided as possible, SDs that remain missing are imputed, by default with the average of observed SDs - buyer beware.
  *
  * @param n an array of the number of units behind a mean point estimate
- * @param mean an array of the mean point estimates
- * @param sd an array of the standard deviations. note, entries may be undefined/null and will be imputed.
+ * @param mean an array of the mean point estimates. entries may be undefined/null if estimable from `summaries`
+ * @param sd an array of the standard deviations. note, entries may be undefined/null and will be estimated from
+ * `summaries` if possible, or otherwise imputed.
  * @param randomEffects whether or not to estimate with random (true) or fixed (false) effects
  * @param width the desired width [0-1] of the CI on the pooled median estimate
- * @return an object with attributes `estimate` (pooled mean), `lower` (lower bound of pooled mean CI), `upper`, and `studyEstimates`.
+ * @param options an object with optional attributes:
+ *   `tauMethod` the estimator of tau^2; one of 'DL' (default), 'REML', 'PM', 'SJ', 'HE', or a fixed value
+ *   `hksj` whether to compute the pooled CI with the Hartung-Knapp-Sidik-Jonkman method (default false). only applies to
+ *   random effects models of multiple studies
+ *   `summaries` an object of per-study `median`, `q1`, `q3`, `min` & `max` arrays and the `methodMean` & `methodSD`
+ *   of estimating missing means & SDs from them (see `fillFromSummaries` in `shukra/conversion`)
+ *   `imputeSD` the method of imputing missing SDs; one of 'mean' (default), 'pooled', 'quantile', 'max', or a number
+ *   to impute directly (see `imputeSDs` in `shukra/conversion`)
+ *   `imputeQuantile` the quantile of observed SDs to impute, for the 'quantile' method (default .75)
+ * @return an object with attributes `estimate` (pooled mean), `lower` (lower bound of pooled mean CI), `upper`,
+ * `predictionLower` & `predictionUpper` (the prediction interval, for random effects models of 3 or more studies),
+ * `studyEstimates` (including the `te` & `seTE` pooled, and the `imputedSD` of studies with imputed SDs), and when
+ * there are multiple studies, the heterogeneity statistics `q`, `dfQ`, `pQ`, `tau2`, `tau`, `h`, `i2`, `i2Lower` &
+ * `i2Upper` (see `computeHeterogeneity`).
  * if no point estimates are supplied, an empty object is returned
  */
-function pooledMean(n, mean, sd, randomEffects=true, width=.95) {
+function pooledMean(n, mean, sd, randomEffects=true, width=.95,
+                    { tauMethod = 'DL', hksj = false, summaries, imputeSD = 'mean', imputeQuantile = .75 } = {}) {
   preconditionNotNull(n, 'n');
-  preconditionNotNull(mean, 'mean');
-  preconditionAllPositive(sd, 'sd');
   preconditionAllPositive(n, 'n');
-  // we DO allow sd to be null
   preconditionLengthEquality(n, mean, 'n', 'mean');
   preconditionLengthEquality(mean, sd, 'mean', 'sd');
   preconditionRange(width, 0, 1, 'width');
+  preconditionTauMethod(tauMethod);
+  const { te, seTE, imputed, imputedSD } = _meanStudyEffects(n, mean, sd, summaries, imputeSD, imputeQuantile);
+  mean = te;
 
   if (!n.length) {
     return {studyEstimates: []};
   }
 
-  const validSds = sd.filter((s) => s || s === 0);
-  if (!validSds.length && sd.length) {
-    throw new Error('Insufficient data for imputing missing SDs');
-  }
-  const imputedSd = sum(validSds) / validSds.length;
-  const sdImputed = sd.map(sd => sd || sd === 0 ? sd : imputedSd);
-
-  const seTE  = sdImputed.map((sdi, ix) => Math.sqrt(Math.pow(sdi, 2) / n[ix]));
-
   const z = STD_NORMAL.ppf((1 - width) / 2)
   const studyTEs = mean.map((m, ix) => {
     const studySE = seTE[ix];
@@ -105,14 +347,23 @@ function pooledMean(n, mean, sd, randomEffects=true, width=.95) {
       lower,
       estimate: m,
       upper,
+      te: m,
+      seTE: studySE,
+      ...(imputed[ix] && { imputedSD }),
     };
   });
 
-  let tePooled, seTEPooled;
+  let tePooled, seTEPooled, prediction;
+  let heterogeneity = {};
+  let zPooled = z;
   if (mean.length > 1) {
-    const { tePooled: a, seTEPooled: b } = randomEffects ? randomEffectsPooling(mean, seTE) : fixedEffectsPooling(mean, seTE);
+    const { tePooled: a, seTEPooled: b } = randomEffects ? randomEffectsPooling(mean, seTE, tauMethod, hksj) : fixedEffectsPooling(mean, seTE);
     tePooled = a;
     seTEPooled = b;
+    zPooled = _criticalValue(width, mean.length, randomEffects && hksj);
+    // reported regardless of the pooling model, as meta does
+    heterogeneity = computeHeterogeneity(mean, seTE, tauMethod, width);
+    prediction = randomEffects ? _predictionInterval(mean, seTE, tauMethod, width) : undefined;
   }
   else {
     // nothing to meta-analyze, just use the single point estimate
@@ -122,8 +373,10 @@ function pooledMean(n, mean, sd, randomEffects=true, width=.95) {
 
   return {
     estimate: tePooled,
-    lower: tePooled + z * seTEPooled,
-    upper: tePooled - z * seTEPooled,
+    lower: tePooled + zPooled * seTEPooled,
+    upper: tePooled - zPooled * seTEPooled,
+    ...(prediction && { predictionLower: prediction.lower, predictionUpper: prediction.upper }),
+    ...heterogeneity,
     studyEstimates: studyTEs,
   };
 }
@@ -136,56 +389,355 @@ function validateBinomial(events, n) {
   });
 }
 
+// log(1 + exp(x)), without overflow
+function _log1pExp(x) {
+  return x > 0 ? x + Math.log1p(Math.exp(-x)) : Math.log1p(Math.exp(x));
+}
+
+// the binomial log likelihood of `events` in `n` units with log odds `eta`, omitting the binomial coefficient
+function _binomialLogLikelihood(events, n, eta) {
+  return -events * _log1pExp(-eta) - (n - events) * _log1pExp(eta);
+}
+
+/**
+ * the marginal log likelihood of a single study under the binomial-normal model, integrating over the study's random
+ * intercept by adaptive Gauss-Hermite quadrature (centered & scaled at the mode of the integrand). a single node is
+ * the Laplace approximation
+ *
+ * @param events the number of events in the study
+ * @param n the number of units in the study
+ * @param mu the mean log odds
+ * @param tau the standard deviation of the random intercepts
+ * @param quadrature Gauss-Hermite nodes & weights, see `gaussHermite`
+ * @private
+ */
+function _glmmStudyLogLikelihood(events, n, mu, tau, quadrature) {
+  if (tau === 0) {
+    return _binomialLogLikelihood(events, n, mu);
+  }
+
+  const tau2 = Math.pow(tau, 2);
+  const logIntegrand = (u) => _binomialLogLikelihood(events, n, mu + u) - Math.pow(u, 2) / (2 * tau2);
+
+  // the integrand is log-concave, so Newton's method (with step halving to guard against overshooting) finds its mode
+  let mode = 0;
+  let current = logIntegrand(mode);
+  for (let i = 0; i < 100; i++) {
+    const p = logistic(mu + mode);
+    let step = (events - n * p - mode / tau2) / (-n * p * (1 - p) - 1 / tau2);
+    while (logIntegrand(mode - step) < current && Math.abs(step) > 1e-12) {
+      step /= 2;
+    }
+    mode -= step;
+    current = logIntegrand(mode);
+    if (Math.abs(step) < 1e-12) {
+      break;
+    }
+  }
+  const p = logistic(mu + mode);
+  const scale = Math.SQRT2 / Math.sqrt(n * p * (1 - p) + 1 / tau2);
+
+  const terms = quadrature.nodes.map((x, j) => Math.log(quadrature.weights[j]) + Math.pow(x, 2) +
+    logIntegrand(mode + scale * x));
+  const maxTerm = Math.max(...terms);
+  const logIntegral = maxTerm + Math.log(sum(terms.map((t) => Math.exp(t - maxTerm)))) + Math.log(scale);
+  return logIntegral - Math.log(tau) - .5 * Math.log(2 * Math.PI);
+}
+
+// maximize a unimodal function on [lower, upper] by golden section search
+function _goldenSectionMaximize(f, lower, upper, tolerance) {
+  const ratio = (Math.sqrt(5) - 1) / 2;
+  let a = lower;
+  let b = upper;
+  let c = b - ratio * (b - a);
+  let d = a + ratio * (b - a);
+  let fc = f(c);
+  let fd = f(d);
+  while (b - a > tolerance) {
+    if (fc > fd) {
+      b = d;
+      d = c;
+      fd = fc;
+      c = b - ratio * (b - a);
+      fc = f(c);
+    } else {
+      a = c;
+      c = d;
+      fc = fd;
+      d = a + ratio * (b - a);
+      fd = f(d);
+    }
+  }
+  return (a + b) / 2;
+}
+
+/**
+ * fit a binomial-normal generalized linear mixed model (random intercept logistic regression) by maximum likelihood,
+ * as meta::metaprop(method='GLMM') does with lme4::glmer. the likelihood is profiled over tau, which is maximized by
+ * golden section search, as is the mean log odds for each tau (the marginal likelihood is log-concave in mu)
+ *
+ * @param events an array of event counts
+ * @param n an array of the number of units
+ * @param nAGQ the number of adaptive Gauss-Hermite quadrature nodes (1 is the Laplace approximation)
+ * @return {{mu: Number, seMu: Number, tau: Number}} the mean log odds, its standard error & the standard deviation of
+ * random intercepts
+ * @private
+ */
+function _fitBinomialNormalGLMM(events, n, nAGQ=1) {
+  const quadrature = gaussHermite(nAGQ);
+  const logLikelihood = (mu, tau) => sum(events.map((e, ix) => _glmmStudyLogLikelihood(e, n[ix], mu, tau, quadrature)));
+  // log odds beyond these bounds are practically probabilities of 0 or 1
+  const muBound = 30;
+  const tauBound = 10;
+  const maximizeMu = (tau) => _goldenSectionMaximize((mu) => logLikelihood(mu, tau), -muBound, muBound, 1e-9);
+
+  let tau = _goldenSectionMaximize((t) => logLikelihood(maximizeMu(t), t), 0, tauBound, 1e-7);
+  // the golden section search won't evaluate the boundary itself
+  if (logLikelihood(maximizeMu(0), 0) >= logLikelihood(maximizeMu(tau), tau)) {
+    tau = 0;
+  }
+  const mu = maximizeMu(tau);
+
+  // the standard error of mu is taken from the observed information (via central differences), accounting for the
+  // estimation of tau except where it is on (or near) the boundary of 0
+  const h = 1e-3;
+  const l = logLikelihood(mu, tau);
+  const dMuMu = (logLikelihood(mu + h, tau) - 2 * l + logLikelihood(mu - h, tau)) / Math.pow(h, 2);
+  if (tau <= h) {
+    return { mu, seMu: Math.sqrt(-1 / dMuMu), tau };
+  }
+  const dTauTau = (logLikelihood(mu, tau + h) - 2 * l + logLikelihood(mu, tau - h)) / Math.pow(h, 2);
+  const dMuTau = (logLikelihood(mu + h, tau + h) - logLikelihood(mu + h, tau - h) - logLikelihood(mu - h, tau + h) +
+    logLikelihood(mu - h, tau - h)) / (4 * Math.pow(h, 2));
+  // the (mu, mu) element of the inverse of the negated hessian
+  const varMu = -dTauTau / (dMuMu * dTauTau - Math.pow(dMuTau, 2));
+  return { mu, seMu: Math.sqrt(varMu), tau };
+}
+
+const POOLED_RATE_METHODS = ['Inverse', 'GLMM'];
+
+// the Freeman-Tukey double arcsine transformation of `events` in `n` units
+function _freemanTukey(events, n) {
+  return .5 * (Math.asin(Math.sqrt(events / (n + 1))) + Math.asin(Math.sqrt((events + 1) / (n + 1))));
+}
+
+/**
+ * an enum-like set of transformations of proportions for pooling, named (and computed) as the `sm` options of
+ * meta::metaprop. each has a `transform` of events in n units to a treatment effect & its standard error, and a
+ * `backTransform` of a treatment effect to a proportion. `n` is only used by Freeman-Tukey, for which the
+ * back-transformation of pooled estimates is that of Miller 1978 with the harmonic mean of study sizes
+ */
+const PROPORTION_MEASURES = {
+  PLOGIT: {
+    // apply a small correction to cells with 0 events. i'm not sure what best practice is for this (add to event & n or just event)
+    // and `meta` gives option for either. I'll do both, which aligns with haldane-anscambe
+    transform: (e, n, incr) => ({
+      te: Math.log((e + incr) / (n - e + incr)),
+      seTE: Math.sqrt(1 / (e + incr) + 1 / (n - e + incr)),
+    }),
+    backTransform: (x) => logistic(x),
+    corrected: true,
+  },
+  PLN: {
+    // the standard error where all units have events is from Hartung & Knapp 2001, formula 18
+    transform: (e, n, incr) => ({
+      te: Math.log((e + incr) / (n + incr)),
+      seTE: e === n ? Math.sqrt(.5 / (e + incr)) : Math.sqrt(1 / (e + incr) - 1 / (n + incr)),
+    }),
+    backTransform: (x) => Math.exp(x),
+    corrected: true,
+  },
+  PRAW: {
+    // as in meta, the correction only applies to the standard error
+    transform: (e, n, incr) => ({
+      te: e / n,
+      seTE: Math.sqrt((e + incr) * (n - e + incr) / Math.pow(n, 3)),
+    }),
+    backTransform: (x) => x,
+    corrected: true,
+  },
+  PAS: {
+    transform: (e, n) => ({
+      te: Math.asin(Math.sqrt(e / n)),
+      seTE: Math.sqrt(1 / (4 * n)),
+    }),
+    backTransform: (x) => Math.pow(Math.sin(Math.min(Math.max(x, 0), Math.PI / 2)), 2),
+    corrected: false,
+  },
+  PFT: {
+    transform: (e, n) => ({
+      te: _freemanTukey(e, n),
+      seTE: Math.sqrt(1 / (4 * n + 2)),
+    }),
+    backTransform: (x, n) => {
+      if (x < _freemanTukey(0, n)) {
+        return 0;
+      }
+      if (x > _freemanTukey(n, n)) {
+        return 1;
+      }
+      const sin2x = Math.sin(2 * x);
+      return .5 * (1 - Math.sign(Math.cos(2 * x)) * Math.sqrt(1 - Math.pow(sin2x + (sin2x - 1 / sin2x) / n, 2)));
+    },
+    corrected: false,
+  },
+};
+
+/**
+ * an enum-like set of methods for CIs on the proportion of events in a single study, named as the `method.ci` options
+ * of meta::metaprop. each computes `{lower, upper}` from events in n units and a (negative) normal critical value `z`
+ */
+const STUDY_CI_METHODS = {
+  // exact intervals from the binomial distribution, via its relationship to the beta distribution (as R's binom.test)
+  CP: (e, n, z) => {
+    const alpha = 2 * STD_NORMAL.cdf(z);
+    return {
+      lower: e === 0 ? 0 : betaQuantile(alpha / 2, e, n - e + 1),
+      upper: e === n ? 1 : betaQuantile(1 - alpha / 2, e + 1, n - e),
+    };
+  },
+  WS: (e, n, z) => {
+    const z2 = Math.pow(z, 2);
+    const center = (e + z2 / 2) / (n + z2);
+    const halfWidth = -z / (n + z2) * Math.sqrt(e * (n - e) / n + z2 / 4);
+    return { lower: Math.max(0, center - halfWidth), upper: Math.min(1, center + halfWidth) };
+  },
+  AC: (e, n, z) => {
+    const nTilde = n + Math.pow(z, 2);
+    const pTilde = (e + Math.pow(z, 2) / 2) / nTilde;
+    const halfWidth = -z * Math.sqrt(pTilde * (1 - pTilde) / nTilde);
+    return { lower: Math.max(0, pTilde - halfWidth), upper: Math.min(1, pTilde + halfWidth) };
+  },
+  // the simple normal approximation, which collapses to a point for studies with no (or all) events
+  NAsm: (e, n, z) => {
+    const p = e / n;
+    const se = Math.sqrt(p * (1 - p) / n);
+    return { lower: Math.max(0, p + se * z), upper: Math.min(1, p - se * z) };
+  },
+};
+
+// the transformed proportions & standard errors of studies pooled by `pooledRate`, with a continuity correction for
+// studies with no (or all) events where the measure requires it
+function _rateStudyEffects(n, events, measure) {
+  const { transform, corrected } = PROPORTION_MEASURES[measure];
+  const transformed = events.map((e, ix) => transform(e, n[ix], corrected && (!e || e === n[ix]) ? .5 : 0));
+  return {
+    te: transformed.map((t) => t.te),
+    seTE: transformed.map((t) => t.seTE),
+  };
+}
+
 /**
  * Compute a pooled rate using a inverse variance pooling
- * If using random effects, Tau is computed via the DerSimonian-Laird estimator.
- * Confidence intervals are obtained through normal approximations. All computation is done on log odds, before transforming back to probabilities for the caller.
+ * If using random effects, Tau is computed via the DerSimonian-Laird estimator, unless otherwise specified.
+ * Confidence intervals are obtained through normal approximations. All computation is done on log odds (or another
+ * transformation of proportions, see `measure`), before transforming back to probabilities for the caller.
+ *
+ * Alternatively, rates may be pooled with a binomial-normal GLMM (random intercept logistic regression) fit by maximum
+ * likelihood, which requires no continuity corrections for studies with no (or all) events. Under fixed effects, this
+ * is logistic regression on the total events. Heterogeneity statistics other than tau are then still those of the
+ * inverse variance model, as in meta.
  *
  * @param n an array of the number of units
  * @param events an array of the number of positive occurrences within the n units
  * @param randomEffects whether or not to estimate with random (true) or fixed (false) effects
  * @param width the desired width [0-1] of the CI on the pooled median estimate
- * @return an object with attributes `estimate` (pooled rate), `lower` (lower bound of pooled rate CI), `upper`, and `studyEstimates`
+ * @param options an object with optional attributes:
+ *   `tauMethod` the estimator of tau^2; one of 'DL' (default), 'REML', 'PM', 'SJ', 'HE', or a fixed value
+ *   `hksj` whether to compute the pooled CI with the Hartung-Knapp-Sidik-Jonkman method (default false). only applies to
+ *   random effects models of multiple studies
+ *   `measure` the transformation of proportions to pool on, as the `sm` of meta::metaprop; one of 'PLOGIT' (logit,
+ *   default), 'PLN' (log), 'PAS' (arcsine), 'PFT' (Freeman-Tukey double arcsine) or 'PRAW' (untransformed)
+ *   `method` the method of pooling; one of 'Inverse' (inverse variance, default) or 'GLMM' (logit only)
+ *   `nAGQ` the number of adaptive Gauss-Hermite quadrature nodes in fitting a GLMM; 1 (default) is the Laplace
+ *   approximation, as in lme4::glmer
+ *   `methodCI` the method of CIs on study proportions, as the `method.ci` of meta::metaprop; one of 'CP'
+ *   (Clopper-Pearson, default), 'WS' (Wilson score), 'AC' (Agresti-Coull) or 'NAsm' (normal approximation)
+ * @return an object with attributes `estimate` (pooled rate), `lower` (lower bound of pooled rate CI), `upper`,
+ * `predictionLower` & `predictionUpper` (the prediction interval, for random effects models of 3 or more studies),
+ * `studyEstimates` (including the transformed proportions `te` & `seTE` pooled), and when there are multiple studies,
+ * the heterogeneity statistics `q`, `dfQ`, `pQ`, `tau2`, `tau`, `h`, `i2`, `i2Lower` & `i2Upper` (see
+ * `computeHeterogeneity`), all on the transformed scale (log odds, by default)
  */
-function pooledRate(n, events, randomEffects=true, width=.95) {
+function pooledRate(n, events, randomEffects=true, width=.95,
+                    { tauMethod = 'DL', hksj = false, measure = 'PLOGIT', method = 'Inverse', nAGQ = 1,
+                      methodCI = 'CP' } = {}) {
   preconditionNotNull(n, 'n');
   preconditionNotNull(events, 'events');
   preconditionAllPositive(n, 'n', true);
   preconditionAllPositive(events, 'n');
   preconditionLengthEquality(n, events, 'n', 'events');
   preconditionRange(width, 0, 1, 'width');
+  preconditionTauMethod(tauMethod);
+  if (POOLED_RATE_METHODS.indexOf(method) < 0) {
+    throw new Error(`Unrecognized method '${method}'; expected one of ${POOLED_RATE_METHODS.join(', ')}`);
+  }
+  if (!PROPORTION_MEASURES[measure]) {
+    throw new Error(`Unrecognized measure '${measure}'; expected one of ${Object.keys(PROPORTION_MEASURES).join(', ')}`);
+  }
+  if (!STUDY_CI_METHODS[methodCI]) {
+    throw new Error(`Unrecognized methodCI '${methodCI}'; expected one of ${Object.keys(STUDY_CI_METHODS).join(', ')}`);
+  }
+  if (method === 'GLMM' && measure !== 'PLOGIT') {
+    throw new Error(`GLMM pooling is only available for logits; got measure '${measure}'`);
+  }
+  if (method === 'GLMM' && hksj) {
+    throw new Error('HKSJ confidence intervals are not available for GLMM pooling');
+  }
+  if (method === 'GLMM' && !(Number.isInteger(nAGQ) && nAGQ > 0)) {
+    throw new Error(`nAGQ must be a positive integer; got ${nAGQ}`);
+  }
 
   if (!n.length) {
     return {studyEstimates: []};
   }
   validateBinomial(events, n);
+  // the likelihood is maximized at a log odds of +/- infinity
+  if (method === 'GLMM' && n.length > 1 && (sum(events) === 0 || sum(events) === sum(n))) {
+    throw new Error('GLMM pooling requires at least one event & one non-event across studies');
+  }
 
-  // apply a small correction to cells with 0 events. i'm not sure what best practice is for this (add to event & n or just event)
-  // and `meta` gives option for either. I'll do both, which aligns with haldane-anscambe
-  const te = events.map((e, ix) => e && e !== n[ix] ? Math.log(e / (n[ix] - e)) : Math.log((e + .5) / (n[ix] - e + .5)));
-  const seTE = events.map((e, ix) => e && e !== n[ix] ? Math.sqrt(1 / e + 1 / (n[ix] - e)) : Math.sqrt(1 / (e + .5) + (1 / (n[ix] - e + .5))));
-  // our reference `meta`, computes CIs using R's binom.test. that, in turn uses quantiles from the beta distribution
-  // since that's a beast to compute, we opt for the simple normal approximation
+  const { backTransform } = PROPORTION_MEASURES[measure];
+  const { te, seTE } = _rateStudyEffects(n, events, measure);
+  // back-transformed proportions may stray outside [0, 1] on some scales (e.g. log)
+  const harmonicMeanN = n.length / sum(n.map((x) => 1 / x));
+  const toProportion = (x) => Math.min(1, Math.max(0, backTransform(x, harmonicMeanN)));
   const z = STD_NORMAL.ppf((1 - width) / 2);
-  const studyTEs = events.map((e, ix) => {
-    const pointEstimate = e / n[ix];
-    const studySE = Math.sqrt(pointEstimate * (1 - pointEstimate) / n[ix]);
-    // if we were using an exact distribution (a Beta dist, I believe), we wouldn't need limits on these
-    // regardless, these should only be triggered for small n0 or n1
-    const lower = Math.max(0, pointEstimate + studySE * z);
-    const upper = Math.min(1, pointEstimate - studySE * z);
-    return {
-      lower,
-      estimate: pointEstimate,
-      upper,
-    };
-  });
+  const studyTEs = events.map((e, ix) => ({
+    estimate: e / n[ix],
+    ...STUDY_CI_METHODS[methodCI](e, n[ix], z),
+    te: te[ix],
+    seTE: seTE[ix],
+  }));
 
-  let tePooled, seTEPooled;
-  if (te.length > 1) {
-    const { tePooled: a, seTEPooled: b } = randomEffects ? randomEffectsPooling(te, seTE) : fixedEffectsPooling(te, seTE);
+  let tePooled, seTEPooled, prediction;
+  let heterogeneity = {};
+  let zPooled = z;
+  if (te.length > 1 && method === 'GLMM') {
+    const { mu, seMu, tau } = _fitBinomialNormalGLMM(events, n, nAGQ);
+    if (randomEffects) {
+      tePooled = mu;
+      seTEPooled = seMu;
+      prediction = computePredictionInterval(mu, seMu, Math.pow(tau, 2), te.length - 2, width);
+    } else {
+      const totalRate = sum(events) / sum(n);
+      tePooled = Math.log(totalRate / (1 - totalRate));
+      seTEPooled = Math.sqrt(1 / (sum(n) * totalRate * (1 - totalRate)));
+    }
+    heterogeneity = {
+      ...computeHeterogeneity(te, seTE, tauMethod, width),
+      tau2: Math.pow(tau, 2),
+      tau,
+    };
+  }
+  else if (te.length > 1) {
+    const { tePooled: a, seTEPooled: b } = randomEffects ? randomEffectsPooling(te, seTE, tauMethod, hksj) : fixedEffectsPooling(te, seTE);
     tePooled = a;
     seTEPooled = b;
+    zPooled = _criticalValue(width, te.length, randomEffects && hksj);
+    // reported regardless of the pooling model, as meta does
+    heterogeneity = computeHeterogeneity(te, seTE, tauMethod, width);
+    prediction = randomEffects ? _predictionInterval(te, seTE, tauMethod, width) : undefined;
   }
   else {
     // nothing to meta-analyze, just use the single point estimate
@@ -193,11 +745,14 @@ function pooledRate(n, events, randomEffects=true, width=.95) {
     seTEPooled = seTE[0];
   }
 
-  // since all pooled estimates were computed on logits (log odds), we transform back to probability space
+  // since all pooled estimates were computed on transformed proportions (log odds by default), we transform back to
+  // probability space
   return {
-    estimate: logistic(tePooled),
-    lower: Math.max(0, logistic(tePooled + z * seTEPooled)),
-    upper: Math.min(1, logistic(tePooled - z * seTEPooled)),
+    estimate: toProportion(tePooled),
+    lower: toProportion(tePooled + zPooled * seTEPooled),
+    upper: toProportion(tePooled - zPooled * seTEPooled),
+    ...(prediction && { predictionLower: toProportion(prediction.lower), predictionUpper: toProportion(prediction.upper) }),
+    ...heterogeneity,
     studyEstimates: studyTEs,
   };
 }
@@ -263,9 +818,705 @@ function pooledMedian(n, median, width=.95) {
   };
 }
 
+/**
+ * pool treatment effects from pairwise (two-arm) comparisons & derive inferential statistics
+ *
+ * @param te an array of treatment effects, on a scale where they are approximately normally distributed
+ * @param seTE an array of the standard errors of the treatment effects
+ * @param transformation a function mapping treatment effects back to their original scale (e.g. exponentiation)
+ * @param randomEffects whether or not to estimate with random (true) or fixed (false) effects
+ * @param width the desired width [0-1] of CIs
+ * @param tauMethod the estimator of tau^2, see `computeTau2`
+ * @param hksj whether to compute the pooled CI with the Hartung-Knapp-Sidik-Jonkman method
+ * @param fixedPooling a function of `te` and `seTE` giving the fixed effects `tePooled` and `seTEPooled`, for pooling
+ * other than by inverse variance
+ * @return an object with attributes `estimate`, `lower`, `upper`, `p`, and when there are multiple effects, the
+ * prediction interval (random effects only) and heterogeneity statistics (see `computeHeterogeneity`)
+ * @private
+ */
+function _pairwisePooling(te, seTE, transformation, randomEffects, width, tauMethod, hksj,
+                          fixedPooling=fixedEffectsPooling) {
+  if (te.length === 1) {
+    // nothing to meta-analyze, just use the single point estimate
+    const z = STD_NORMAL.ppf((1 - width) / 2);
+    const { tePooled, seTEPooled } = randomEffects ? { tePooled: te[0], seTEPooled: seTE[0] } : fixedPooling(te, seTE);
+    return {
+      estimate: transformation(tePooled),
+      lower: transformation(tePooled + z * seTEPooled),
+      upper: transformation(tePooled - z * seTEPooled),
+      p: 2 * (1 - STD_NORMAL.cdf(Math.abs(tePooled / seTEPooled))),
+    };
+  }
+
+  const useHKSJ = randomEffects && hksj;
+  const { tePooled, seTEPooled } = randomEffects ? randomEffectsPooling(te, seTE, tauMethod, hksj) : fixedPooling(te, seTE);
+  const zPooled = _criticalValue(width, te.length, useHKSJ);
+  const statistic = Math.abs(tePooled / seTEPooled);
+  const prediction = randomEffects ? _predictionInterval(te, seTE, tauMethod, width) : undefined;
+
+  return {
+    estimate: transformation(tePooled),
+    lower: transformation(tePooled + zPooled * seTEPooled),
+    upper: transformation(tePooled - zPooled * seTEPooled),
+    p: 2 * (1 - (useHKSJ ? studentTCDF(statistic, te.length - 1) : STD_NORMAL.cdf(statistic))),
+    ...(prediction && { predictionLower: transformation(prediction.lower), predictionUpper: transformation(prediction.upper) }),
+    // reported regardless of the pooling model, as meta does
+    ...computeHeterogeneity(te, seTE, tauMethod, width),
+  };
+}
+
+/**
+ * @param studyEffects an array of objects with attributes `te` and `seTE`, or undefined where a study can't be estimated
+ * @param transformation see `_pairwisePooling`
+ * @param width the desired width [0-1] of CIs
+ * @return an array of objects with attributes `estimate`, `lower`, `upper` (all undefined for inestimable studies)
+ * @private
+ */
+function _pairwiseStudyEstimates(studyEffects, transformation, width) {
+  const z = STD_NORMAL.ppf((1 - width) / 2);
+  return studyEffects.map((effect) => effect ? {
+    lower: transformation(effect.te + z * effect.seTE),
+    estimate: transformation(effect.te),
+    upper: transformation(effect.te - z * effect.seTE),
+  } : {
+    lower: undefined,
+    estimate: undefined,
+    upper: undefined,
+  });
+}
+
+// an enum-like set of effect measures for pairwise comparisons, with transformations back to their original scale
+const PAIRWISE_BINARY_MEASURES = {
+  OR: (x) => Math.exp(x),
+  RR: (x) => Math.exp(x),
+  RD: (x) => x,
+};
+
+const PAIRWISE_CONTINUOUS_MEASURES = {
+  MD: (x) => x,
+  SMD: (x) => x,
+};
+
+function preconditionMeasure(measure, measures) {
+  if (!measures[measure]) {
+    throw new Error(`Unrecognized measure '${measure}'; expected one of ${Object.keys(measures).join(', ')}`);
+  }
+}
+
+/**
+ * compute the effect of a single study with binary outcomes, mirroring meta::metabin. if any cell is zero, `incr` is
+ * added to all cells. for ratio measures, studies with no events (or all events) in both arms are not estimable
+ *
+ * @return {{te: Number, seTE: Number}|undefined}
+ * @private
+ */
+function _binaryStudyEffect(eventsT, nT, eventsC, nC, measure, incr=.5) {
+  const doubleZero = (eventsT === 0 && eventsC === 0) || (eventsT === nT && eventsC === nC);
+  if (doubleZero && measure !== 'RD') {
+    return undefined;
+  }
+
+  const zeroCell = [eventsT, nT - eventsT, eventsC, nC - eventsC].some((x) => x === 0);
+  const correction = zeroCell ? incr : 0;
+  const a = eventsT + correction;
+  const b = nT - eventsT + correction;
+  const c = eventsC + correction;
+  const d = nC - eventsC + correction;
+  const n1 = a + b;
+  const n2 = c + d;
+
+  if (measure === 'OR') {
+    return {
+      te: Math.log((a * d) / (b * c)),
+      seTE: Math.sqrt(1 / a + 1 / b + 1 / c + 1 / d),
+    };
+  }
+  if (measure === 'RR') {
+    return {
+      te: Math.log((a / n1) / (c / n2)),
+      seTE: Math.sqrt(1 / a - 1 / n1 + 1 / c - 1 / n2),
+    };
+  }
+  // the risk difference itself is uncorrected, only its standard error
+  return {
+    te: eventsT / nT - eventsC / nC,
+    seTE: Math.sqrt(a * b / Math.pow(n1, 3) + c * d / Math.pow(n2, 3)),
+  };
+}
+
+/**
+ * compute the Peto (one-step) log odds ratio of a single study from observed less expected events in the treatment arm,
+ * which requires no continuity correction. studies with no events (or all events) in both arms are not estimable
+ *
+ * @return {{te: Number, seTE: Number}|undefined}
+ * @private
+ */
+function _petoStudyEffect(eventsT, nT, eventsC, nC) {
+  const N = nT + nC;
+  const events = eventsT + eventsC;
+  const expected = nT * events / N;
+  const variance = nT * nC * events * (N - events) / (Math.pow(N, 2) * (N - 1));
+  if (!variance) {
+    return undefined;
+  }
+  return {
+    te: (eventsT - expected) / variance,
+    seTE: Math.sqrt(1 / variance),
+  };
+}
+
+/**
+ * pool two-arm binary outcomes with the Mantel-Haenszel method, without continuity corrections (as metafor::rma.mh or
+ * meta::metabin(MH.exact=TRUE)). the variance of log ORs is that of Robins, Breslow & Greenland 1986; of log RRs and
+ * RDs, that of Greenland & Robins 1985. only where a ratio is undefined (e.g. no events in an arm of any study), `incr`
+ * is added to all cells of studies with a zero cell, the correction meta::metabin applies by default
+ *
+ * @return {{tePooled: Number, seTEPooled: Number}} on the log scale for ORs and RRs
+ * @private
+ */
+function _mantelHaenszelPooling(eventsT, nT, eventsC, nC, measure, incr=.5) {
+  const tables = _mantelHaenszelTables(eventsT, nT, eventsC, nC, 0);
+  if (measure !== 'RD') {
+    return _mantelHaenszelRatio(tables, measure) ||
+      _mantelHaenszelRatio(_mantelHaenszelTables(eventsT, nT, eventsC, nC, incr), measure);
+  }
+  const W = sum(tables.map(({ n1, n2, N }) => n1 * n2 / N));
+  const RD = sum(tables.map(({ a, c, n1, n2, N }) => (a * n2 - c * n1) / N)) / W;
+  const variance = sum(tables.map(({ a, b, c, d, n1, n2, N }) =>
+    (a * b * Math.pow(n2, 3) + c * d * Math.pow(n1, 3)) / (n1 * n2 * Math.pow(N, 2)))) / Math.pow(W, 2);
+  return {
+    tePooled: RD,
+    seTEPooled: Math.sqrt(variance),
+  };
+}
+
+// 2x2 tables of studies, with `incr` added to all cells of those with a zero cell
+function _mantelHaenszelTables(eventsT, nT, eventsC, nC, incr) {
+  return eventsT.map((e, ix) => {
+    const cells = [e, nT[ix] - e, eventsC[ix], nC[ix] - eventsC[ix]];
+    const [a, b, c, d] = incr && cells.some((x) => x === 0) ? cells.map((x) => x + incr) : cells;
+    return { a, b, c, d, n1: a + b, n2: c + d, N: a + b + c + d };
+  });
+}
+
+// the MH log OR or log RR, or undefined if either sum of the ratio is 0
+function _mantelHaenszelRatio(tables, measure) {
+  if (measure === 'OR') {
+    const R = sum(tables.map(({ a, d, N }) => a * d / N));
+    const S = sum(tables.map(({ b, c, N }) => b * c / N));
+    if (!R || !S) {
+      return undefined;
+    }
+    const PR = sum(tables.map(({ a, b, c, d, N }) => (a + d) / N * a * d / N));
+    const PSQR = sum(tables.map(({ a, b, c, d, N }) => ((a + d) * b * c + (b + c) * a * d) / Math.pow(N, 2)));
+    const QS = sum(tables.map(({ a, b, c, d, N }) => (b + c) / N * b * c / N));
+    return {
+      tePooled: Math.log(R / S),
+      seTEPooled: Math.sqrt(PR / (2 * Math.pow(R, 2)) + PSQR / (2 * R * S) + QS / (2 * Math.pow(S, 2))),
+    };
+  }
+  const R = sum(tables.map(({ a, n2, N }) => a * n2 / N));
+  const S = sum(tables.map(({ c, n1, N }) => c * n1 / N));
+  if (!R || !S) {
+    return undefined;
+  }
+  const P = sum(tables.map(({ a, c, n1, n2, N }) => (n1 * n2 * (a + c) - a * c * N) / Math.pow(N, 2)));
+  return {
+    tePooled: Math.log(R / S),
+    seTEPooled: Math.sqrt(P / (R * S)),
+  };
+}
+
+const PAIRWISE_BINARY_METHODS = ['Inverse', 'MH', 'Peto'];
+
+/**
+ * Meta-analyze two-arm (treatment vs. control) studies with binary outcomes, as in meta::metabin.
+ * Ratio measures (OR, RR) are pooled on the log scale & back-transformed.
+ *
+ * Fixed effects are pooled by inverse variance weighting, the Mantel-Haenszel method, or (for ORs) Peto's method; the
+ * latter two are preferable for sparse data (e.g. rare adverse events), since they do not depend on continuity
+ * corrections. As in meta, random effects are always pooled by inverse variance weighting, with Peto's method using
+ * Peto log odds ratios as study effects.
+ *
+ * @param eventsT an array of event counts in the treatment arm of each study
+ * @param nT an array of the number of units in the treatment arm of each study
+ * @param eventsC an array of event counts in the control arm of each study
+ * @param nC an array of the number of units in the control arm of each study
+ * @param options an object with optional attributes:
+ *   `measure` the effect measure; one of 'OR' (default), 'RR', 'RD'
+ *   `method` the method of pooling; one of 'Inverse' (default), 'MH' (Mantel-Haenszel), or 'Peto' (ORs only)
+ *   `randomEffects` whether or not to estimate with random (true, default) or fixed (false) effects
+ *   `width` the desired width [0-1] of CIs (default .95)
+ *   `tauMethod` the estimator of tau^2; one of 'DL' (default), 'REML', 'PM', 'SJ', 'HE', or a fixed value
+ *   `hksj` whether to compute the pooled CI with the Hartung-Knapp-Sidik-Jonkman method (default false)
+ * @return an object with attributes `estimate` (pooled effect), `lower` (lower bound of pooled CI), `upper`, `p`
+ * (the p-value of the test of no effect), `predictionLower` & `predictionUpper` (random effects models of 3 or more
+ * studies), `studyEstimates`, and when multiple studies are estimable, the heterogeneity statistics `q`, `dfQ`, `pQ`,
+ * `tau2`, `tau`, `h`, `i2`, `i2Lower` & `i2Upper` (see `computeHeterogeneity`, on the log scale for ratio measures).
+ * studies without events in either arm are not estimable for ratio measures, and have undefined `studyEstimates`.
+ * if no studies are estimable, only `studyEstimates` are returned
+ */
+function pairwiseBinary(eventsT, nT, eventsC, nC,
+                        { measure = 'OR', method = 'Inverse', randomEffects = true, width = .95, tauMethod = 'DL',
+                          hksj = false } = {}) {
+  preconditionNotNull(eventsT, 'eventsT');
+  preconditionNotNull(nT, 'nT');
+  preconditionNotNull(eventsC, 'eventsC');
+  preconditionNotNull(nC, 'nC');
+  preconditionAllPositive(eventsT, 'eventsT');
+  preconditionAllPositive(nT, 'nT', true);
+  preconditionAllPositive(eventsC, 'eventsC');
+  preconditionAllPositive(nC, 'nC', true);
+  preconditionLengthEquality(eventsT, nT, 'eventsT', 'nT');
+  preconditionLengthEquality(eventsT, eventsC, 'eventsT', 'eventsC');
+  preconditionLengthEquality(eventsC, nC, 'eventsC', 'nC');
+  preconditionRange(width, 0, 1, 'width');
+  preconditionTauMethod(tauMethod);
+  preconditionMeasure(measure, PAIRWISE_BINARY_MEASURES);
+  if (PAIRWISE_BINARY_METHODS.indexOf(method) < 0) {
+    throw new Error(`Unrecognized method '${method}'; expected one of ${PAIRWISE_BINARY_METHODS.join(', ')}`);
+  }
+  if (method === 'Peto' && measure !== 'OR') {
+    throw new Error(`Peto's method is only applicable to odds ratios; got measure '${measure}'`);
+  }
+  validateBinomial(eventsT, nT);
+  validateBinomial(eventsC, nC);
+
+  const transformation = PAIRWISE_BINARY_MEASURES[measure];
+  const studyEffects = eventsT.map((e, ix) => method === 'Peto' ?
+    _petoStudyEffect(e, nT[ix], eventsC[ix], nC[ix]) :
+    _binaryStudyEffect(e, nT[ix], eventsC[ix], nC[ix], measure));
+  const studyEstimates = _pairwiseStudyEstimates(studyEffects, transformation, width);
+
+  const estimableIxs = studyEffects.map((effect, ix) => effect ? ix : -1).filter((ix) => ix >= 0);
+  if (!estimableIxs.length) {
+    return { studyEstimates };
+  }
+
+  // inverse variance pooling of Peto log ORs is Peto's method
+  const fixedPooling = method === 'MH' ?
+    () => _mantelHaenszelPooling(...[eventsT, nT, eventsC, nC].map((arr) => estimableIxs.map((ix) => arr[ix])), measure) :
+    fixedEffectsPooling;
+  return {
+    ..._pairwisePooling(estimableIxs.map((ix) => studyEffects[ix].te), estimableIxs.map((ix) => studyEffects[ix].seTE),
+      transformation, randomEffects, width, tauMethod, hksj, fixedPooling),
+    studyEstimates,
+  };
+}
+
+/**
+ * compute the effect of a single study with continuous outcomes, mirroring meta::metacont. SMDs are Hedges' g
+ *
+ * @return {{te: Number, seTE: Number}}
+ * @private
+ */
+function _continuousStudyEffect(meanT, sdT, nT, meanC, sdC, nC, measure) {
+  if (measure === 'MD') {
+    return {
+      te: meanT - meanC,
+      seTE: Math.sqrt(Math.pow(sdT, 2) / nT + Math.pow(sdC, 2) / nC),
+    };
+  }
+
+  const N = nT + nC;
+  const pooledSD = Math.sqrt(((nT - 1) * Math.pow(sdT, 2) + (nC - 1) * Math.pow(sdC, 2)) / (N - 2));
+  const g = (meanT - meanC) / pooledSD * (1 - 3 / (4 * N - 9));
+  return {
+    te: g,
+    seTE: Math.sqrt(N / (nT * nC) + Math.pow(g, 2) / (2 * (N - 3.94))),
+  };
+}
+
+/**
+ * Meta-analyze two-arm (treatment vs. control) studies with continuous outcomes using inverse variance weighting,
+ * as in meta::metacont.
+ *
+ * @param meanT an array of the mean outcome in the treatment arm of each study
+ * @param sdT an array of the standard deviation of outcomes in the treatment arm of each study
+ * @param nT an array of the number of units in the treatment arm of each study
+ * @param meanC an array of the mean outcome in the control arm of each study
+ * @param sdC an array of the standard deviation of outcomes in the control arm of each study
+ * @param nC an array of the number of units in the control arm of each study
+ * @param options an object with optional attributes:
+ *   `measure` the effect measure; one of 'MD' (mean difference, default) or 'SMD' (standardized mean difference,
+ *   as Hedges' g)
+ *   `randomEffects` whether or not to estimate with random (true, default) or fixed (false) effects
+ *   `width` the desired width [0-1] of CIs (default .95)
+ *   `tauMethod` the estimator of tau^2; one of 'DL' (default), 'REML', 'PM', 'SJ', 'HE', or a fixed value
+ *   `hksj` whether to compute the pooled CI with the Hartung-Knapp-Sidik-Jonkman method (default false)
+ * @return an object with attributes `estimate` (pooled effect), `lower` (lower bound of pooled CI), `upper`, `p`
+ * (the p-value of the test of no effect), `predictionLower` & `predictionUpper` (random effects models of 3 or more
+ * studies), `studyEstimates`, and when there are multiple studies, the heterogeneity statistics `q`, `dfQ`, `pQ`,
+ * `tau2`, `tau`, `h`, `i2`, `i2Lower` & `i2Upper` (see `computeHeterogeneity`). if no studies are supplied, only
+ * `studyEstimates` are returned
+ */
+function pairwiseContinuous(meanT, sdT, nT, meanC, sdC, nC,
+                            { measure = 'MD', randomEffects = true, width = .95, tauMethod = 'DL', hksj = false } = {}) {
+  preconditionNotNull(meanT, 'meanT');
+  preconditionNotNull(sdT, 'sdT');
+  preconditionNotNull(nT, 'nT');
+  preconditionNotNull(meanC, 'meanC');
+  preconditionNotNull(sdC, 'sdC');
+  preconditionNotNull(nC, 'nC');
+  preconditionAllPositive(sdT, 'sdT', true);
+  preconditionAllPositive(nT, 'nT', true);
+  preconditionAllPositive(sdC, 'sdC', true);
+  preconditionAllPositive(nC, 'nC', true);
+  [sdT, nT, meanC, sdC, nC].forEach((arr, ix) => preconditionLengthEquality(meanT, arr, 'meanT',
+    ['sdT', 'nT', 'meanC', 'sdC', 'nC'][ix]));
+  preconditionRange(width, 0, 1, 'width');
+  preconditionTauMethod(tauMethod);
+  preconditionMeasure(measure, PAIRWISE_CONTINUOUS_MEASURES);
+
+  const transformation = PAIRWISE_CONTINUOUS_MEASURES[measure];
+  const studyEffects = meanT.map((m, ix) => _continuousStudyEffect(m, sdT[ix], nT[ix], meanC[ix], sdC[ix], nC[ix], measure));
+  const studyEstimates = _pairwiseStudyEstimates(studyEffects, transformation, width);
+
+  if (!studyEffects.length) {
+    return { studyEstimates };
+  }
+
+  return {
+    ..._pairwisePooling(studyEffects.map((e) => e.te), studyEffects.map((e) => e.seTE), transformation, randomEffects,
+      width, tauMethod, hksj),
+    studyEstimates,
+  };
+}
+
+function _isMissing(x) {
+  return x === undefined || x === null || Number.isNaN(x);
+}
+
+/**
+ * build the design matrix of a meta-regression. numeric moderators enter as is, while any other moderator is treated
+ * as categorical with dummy (treatment) coding against its first level in sort order, as R's factors
+ *
+ * @param moderators an object of moderator names to arrays of per-study values
+ * @param k the number of studies
+ * @return an object with attributes `X` (the design matrix, with an intercept) and `names` (of its columns)
+ * @private
+ */
+function _moderatorDesign(moderators, k) {
+  const names = ['intercept'];
+  const columns = [new Array(k).fill(1)];
+  Object.entries(moderators).forEach(([name, values]) => {
+    if (!values || values.length !== k) {
+      throw new Error(`Moderator '${name}' must have a value for each of the ${k} studies`);
+    }
+    const missingIx = values.findIndex(_isMissing);
+    if (missingIx >= 0) {
+      throw new Error(`Element at index ${missingIx} is missing in moderator '${name}'`);
+    }
+
+    if (values.every((v) => typeof v === 'number')) {
+      names.push(name);
+      columns.push(values);
+      return;
+    }
+    const levels = [...new Set(values.map(String))].sort();
+    if (levels.length < 2) {
+      throw new Error(`Categorical moderator '${name}' must have at least 2 levels`);
+    }
+    levels.slice(1).forEach((level) => {
+      names.push(`${name}[${level}]`);
+      columns.push(values.map((v) => String(v) === level ? 1 : 0));
+    });
+  });
+
+  return {
+    X: new Matrix(columns).transpose(),
+    names,
+  };
+}
+
+const META_REGRESSION_METHODS = ['RE', 'FE'];
+
+/**
+ * Fit a (mixed-effects) meta-regression of treatment effects on study-level moderators by weighted least squares, to
+ * explore sources of heterogeneity. Mirrors metafor::rma.uni with `mods`; inference is by normal approximation.
+ *
+ * @param te an array of treatment effects
+ * @param se an array of standard errors of the treatment effects
+ * @param moderators an object of moderator names to arrays of per-study values. numeric arrays are treated as
+ * continuous covariates; others (e.g. strings) as categorical, dummy coded against the first level in sort order
+ * @param options an object with optional attributes:
+ *   `method` 'RE' (mixed-effects, default) or 'FE' (fixed-effects)
+ *   `tauMethod` the estimator of residual tau^2, see `computeTau2`
+ *   `width` the desired width [0-1] of CIs on coefficients (default .95)
+ * @return an object with attributes:
+ *   `coefficients` an array of objects with attributes `name` ('intercept', the moderator name, or `name[level]` for
+ *   levels of categorical moderators), `estimate`, `se`, `lower`, `upper`, `z` & `p`
+ *   `tau2` & `tau` the residual heterogeneity (0 under fixed effects)
+ *   `r2` the proportion of heterogeneity accounted for by the moderators, (tau^2 - residual tau^2) / tau^2, where tau^2
+ *   is estimated without moderators (random effects only, undefined if there's no heterogeneity to account for)
+ *   `qm`, `dfQM` & `pQM` the omnibus (Wald) test that all moderator coefficients are 0
+ *   `qe`, `dfQE` & `pQE` the test for residual heterogeneity
+ */
+function metaRegression(te, se, moderators, { method = 'RE', tauMethod = 'DL', width = .95 } = {}) {
+  preconditionNotNull(te, 'te');
+  preconditionNotNull(se, 'se');
+  preconditionLengthEquality(te, se, 'te', 'se');
+  preconditionAllPositive(se, 'se', true);
+  preconditionRange(width, 0, 1, 'width');
+  preconditionTauMethod(tauMethod);
+  if (META_REGRESSION_METHODS.indexOf(method) < 0) {
+    throw new Error(`Unrecognized method '${method}'; expected one of ${META_REGRESSION_METHODS.join(', ')}`);
+  }
+  if (!moderators || !Object.keys(moderators).length) {
+    throw new Error('At least one moderator is required');
+  }
+
+  const k = te.length;
+  const { X, names } = _moderatorDesign(moderators, k);
+  const p = X.columns;
+  if (k <= p) {
+    throw new Error(`Insufficient studies (k=${k}) to estimate ${p} coefficients`);
+  }
+  // e.g. a constant moderator, or one that is a linear combination of others
+  const rank = new SingularValueDecomposition(X).rank;
+  if (rank < p) {
+    throw new Error(`Moderators are collinear; the design matrix has rank ${rank} for ${p} coefficients`);
+  }
+
+  const randomEffects = method === 'RE';
+  const tau2 = randomEffects ? _estimateTau2(te, se, tauMethod, X) : 0;
+  const Y = Matrix.columnVector(te);
+  const W = Matrix.diagonal(se.map((s) => 1 / (Math.pow(s, 2) + tau2)));
+  const vb = inverse(crossProduct(X, W).mmul(X));
+  const b = vb.mmul(crossProduct(X, W)).mmul(Y);
+
+  const z = STD_NORMAL.ppf((1 - width) / 2);
+  const coefficients = names.map((name, ix) => {
+    const estimate = b.get(ix, 0);
+    const seCoefficient = Math.sqrt(vb.get(ix, ix));
+    const statistic = estimate / seCoefficient;
+    return {
+      name,
+      estimate,
+      se: seCoefficient,
+      lower: estimate + z * seCoefficient,
+      upper: estimate - z * seCoefficient,
+      z: statistic,
+      p: 2 * (1 - STD_NORMAL.cdf(Math.abs(statistic))),
+    };
+  });
+
+  // the Wald test on all coefficients but the intercept
+  const bModerators = b.subMatrix(1, p - 1, 0, 0);
+  const qm = crossProduct(bModerators, inverse(vb.subMatrix(1, p - 1, 1, p - 1))).mmul(bModerators).get(0, 0);
+  const qe = _weightedResiduals(te, se, 0, X).rss;
+
+  let r2;
+  if (randomEffects) {
+    const tau2Total = _estimateTau2(te, se, tauMethod);
+    r2 = tau2Total > 0 ? Math.max(0, (tau2Total - tau2) / tau2Total) : undefined;
+  }
+
+  return {
+    coefficients,
+    tau2,
+    tau: Math.sqrt(tau2),
+    r2,
+    qm,
+    dfQM: p - 1,
+    pQM: 1 - chiSquaredCDF(qm, p - 1),
+    qe,
+    dfQE: k - p,
+    pQE: 1 - chiSquaredCDF(qe, k - p),
+  };
+}
+
+// Cochrane's Q of the differences between subgroup estimates, weighting by their inverse variances
+function _qBetween(tePooled, seTEPooled) {
+  const { tePooled: overall } = fixedEffectsPooling(tePooled, seTEPooled);
+  const q = sum(tePooled.map((t, ix) => Math.pow(t - overall, 2) / Math.pow(seTEPooled[ix], 2)));
+  const df = tePooled.length - 1;
+  return {
+    q,
+    df,
+    p: 1 - chiSquaredCDF(q, df),
+  };
+}
+
+// the (transformed) study effects analyzed by each pooling function supported by `subgroupAnalysis`. medians have no
+// study-level standard errors, so are handled separately
+const SUBGROUP_STUDY_EFFECTS = new Map([
+  [pooledMean, ([n, mean, sd], { summaries, imputeSD = 'mean', imputeQuantile = .75 }) =>
+    _meanStudyEffects(n, mean, sd, summaries, imputeSD, imputeQuantile)],
+  [pooledRate, ([n, events], { measure = 'PLOGIT' }) => _rateStudyEffects(n, events, measure)],
+  [pooledMedian, undefined],
+]);
+
+// per-study arrays nested in the options of pooling functions, which must be split along with the data
+function _subsetOptions(options, ixs) {
+  if (!options.summaries) {
+    return options;
+  }
+  return { ...options, summaries: subsetSummaries(options.summaries, ixs) };
+}
+
+/**
+ * Perform a subgroup analysis, pooling studies within each subgroup and testing for differences between subgroups with
+ * Cochrane's Q (Q-between), as meta's `subgroup` argument.
+ *
+ * Q-between is computed from subgroup estimates on the pooling scale (e.g. log odds for rates) under both fixed and
+ * random effects. Under random effects, subgroups either have separate estimates of tau^2 (default), or share a common
+ * tau^2, estimated from a meta-regression on subgroup membership (as meta's `tau.common`). In the latter case, subgroups
+ * are also pooled with the common tau^2. Medians have no standard errors for weighting (their CIs are weighted
+ * quantiles, not normal intervals), so Q-between is unavailable for them.
+ *
+ * @param subgroups an array of the subgroup (any label) of each study
+ * @param pool one of `pooledMean`, `pooledRate` or `pooledMedian`
+ * @param data an array of the per-study arrays passed to `pool`, e.g. `[n, mean, sd]` for `pooledMean`
+ * @param randomEffects whether or not to estimate with random (true) or fixed (false) effects. ignored for medians
+ * @param width the desired width [0-1] of CIs
+ * @param options an object with optional attributes:
+ *   `commonTau` whether subgroups share a common tau^2 (default false)
+ *   and any other options of `pool`, e.g. `tauMethod`
+ * @return an object with attributes:
+ *   `subgroups` an array of the results of `pool` for each subgroup (in order of appearance), with attributes `subgroup`
+ *   (the label) and `k` (the number of studies)
+ *   `overall` the result of `pool` on all studies
+ *   `qBetween` an object with attributes `fixed` & `random`, each an object with attributes `q`, `df` & `p`. absent
+ *   for medians
+ *   `tau2Common` the common tau^2, if `commonTau`
+ */
+function subgroupAnalysis(subgroups, pool, data, randomEffects=true, width=.95, { commonTau = false, ...options } = {}) {
+  preconditionNotNull(subgroups, 'subgroups');
+  if (!SUBGROUP_STUDY_EFFECTS.has(pool)) {
+    throw new Error('Subgroup analysis is available for pooledMean, pooledRate & pooledMedian');
+  }
+  if (!Array.isArray(data) || !data.length) {
+    throw new Error('Expected an array of per-study data arrays');
+  }
+  data.forEach((arr, ix) => preconditionLengthEquality(subgroups, arr, 'subgroups', `data[${ix}]`));
+  preconditionRange(width, 0, 1, 'width');
+  const isMedian = pool === pooledMedian;
+  if (isMedian && commonTau) {
+    throw new Error('Medians are not pooled with tau^2, so it cannot be common to subgroups');
+  }
+  if (options.method === 'GLMM') {
+    throw new Error('Subgroup analysis is not available for GLMM pooling');
+  }
+  const { tauMethod = 'DL' } = options;
+  preconditionTauMethod(tauMethod);
+
+  const levels = [...new Set(subgroups)];
+  if (levels.length < 2) {
+    throw new Error(`Subgroup analysis requires at least 2 subgroups; got ${levels.length}`);
+  }
+  const levelIxs = levels.map((level) => subgroups.map((s, ix) => ix).filter((ix) => subgroups[ix] === level));
+  const levelData = levelIxs.map((ixs) => data.map((arr) => ixs.map((ix) => arr[ix])));
+  const levelOptions = levelIxs.map((ixs) => _subsetOptions(options, ixs));
+  const runPool = (args, poolOptions) => isMedian ? pool(...args, width) : pool(...args, randomEffects, width, poolOptions);
+
+  if (isMedian) {
+    return {
+      subgroups: levelData.map((args, ix) => ({ subgroup: levels[ix], k: levelIxs[ix].length, ...runPool(args) })),
+      overall: runPool(data),
+    };
+  }
+
+  const studyEffects = SUBGROUP_STUDY_EFFECTS.get(pool);
+  const levelEffects = levelData.map((args, ix) => studyEffects(args, levelOptions[ix]));
+  let tau2Common;
+  if (commonTau) {
+    const te = [].concat(...levelEffects.map((e) => e.te));
+    const seTE = [].concat(...levelEffects.map((e) => e.seTE));
+    const levelOfStudy = [].concat(...levelIxs.map((ixs, levelIx) => ixs.map(() => String(levelIx))));
+    tau2Common = _estimateTau2(te, seTE, tauMethod, _moderatorDesign({ subgroup: levelOfStudy }, te.length).X);
+  }
+
+  // single study subgroups have no heterogeneity of their own
+  const randomPooled = levelEffects.map(({ te, seTE }) => randomEffectsPooling(te, seTE,
+    commonTau ? tau2Common : te.length > 1 ? tauMethod : 0));
+  const fixedPooled = levelEffects.map(({ te, seTE }) => fixedEffectsPooling(te, seTE));
+  const results = levelData.map((args, ix) => runPool(args,
+    commonTau ? { ...levelOptions[ix], tauMethod: tau2Common } : levelOptions[ix]));
+
+  return {
+    subgroups: results.map((result, ix) => ({ subgroup: levels[ix], k: levelIxs[ix].length, ...result })),
+    overall: runPool(data, options),
+    qBetween: {
+      fixed: _qBetween(fixedPooled.map((p) => p.tePooled), fixedPooled.map((p) => p.seTEPooled)),
+      random: _qBetween(randomPooled.map((p) => p.tePooled), randomPooled.map((p) => p.seTEPooled)),
+    },
+    ...(commonTau && { tau2Common }),
+  };
+}
+
+// whether a CI excludes the null effect
+function _isSignificant({ lower, upper }, nullEffect) {
+  return lower > nullEffect || upper < nullEffect;
+}
+
+/**
+ * Perform a leave-one-out sensitivity analysis, pooling all studies but one, for each study in turn, as
+ * meta::metainf. omissions that change whether the CI excludes `nullEffect` are flagged.
+ *
+ * @param pool one of `pooledMean` or `pooledRate`
+ * @param data an array of the per-study arrays passed to `pool`, e.g. `[n, mean, sd]` for `pooledMean`
+ * @param randomEffects whether or not to estimate with random (true) or fixed (false) effects
+ * @param width the desired width [0-1] of CIs
+ * @param options an object with optional attributes:
+ *   `nullEffect` the effect (on the scale of estimates, e.g. a proportion for rates) that significance is judged
+ *   against. defaults to 0 for `pooledMean` (e.g. of mean differences); proportions have no natural null, so without
+ *   one, `changesSignificance` is undefined for `pooledRate`
+ *   and any other options of `pool`, e.g. `tauMethod`
+ * @return an object with attributes:
+ *   `overall` the result of `pool` on all studies
+ *   `omissions` an array with an object for each study (in order), with attributes `omitted` (the index of the omitted
+ *   study), `estimate`, `lower`, `upper`, `tau2`, `i2`, `i2Lower` & `i2Upper` (as `pool`, undefined where a single
+ *   study remains) and `changesSignificance`
+ */
+function leaveOneOut(pool, data, randomEffects=true, width=.95,
+                     { nullEffect = pool === pooledMean ? 0 : undefined, ...options } = {}) {
+  if (pool !== pooledMean && pool !== pooledRate) {
+    throw new Error('Leave-one-out analysis is available for pooledMean & pooledRate');
+  }
+  if (!Array.isArray(data) || !data.length) {
+    throw new Error('Expected an array of per-study data arrays');
+  }
+  data.forEach((arr, ix) => preconditionLengthEquality(data[0], arr, 'data[0]', `data[${ix}]`));
+  const k = data[0].length;
+  if (k < 2) {
+    throw new Error(`Leave-one-out analysis requires at least 2 studies; got ${k}`);
+  }
+
+  const overall = pool(...data, randomEffects, width, options);
+  const significant = nullEffect === undefined ? undefined : _isSignificant(overall, nullEffect);
+  const omissions = data[0].map((_, omitted) => {
+    const ixs = data[0].map((__, ix) => ix).filter((ix) => ix !== omitted);
+    const { estimate, lower, upper, tau2, i2, i2Lower, i2Upper } = pool(...data.map((arr) => ixs.map((ix) => arr[ix])),
+      randomEffects, width, _subsetOptions(options, ixs));
+    return {
+      omitted,
+      estimate,
+      lower,
+      upper,
+      tau2,
+      i2,
+      i2Lower,
+      i2Upper,
+      changesSignificance: significant === undefined ? undefined :
+        _isSignificant({ lower, upper }, nullEffect) !== significant,
+    };
+  });
+  return { overall, omissions };
+}
+
 module.exports = {
+  computeTau2: computeTau2,
+  computeHeterogeneity: computeHeterogeneity,
   pooledMean: pooledMean,
   arithmeticPooledMean: arithmeticPooledMean,
   pooledMedian: pooledMedian,
   pooledRate: pooledRate,
+  pairwiseBinary: pairwiseBinary,
+  pairwiseContinuous: pairwiseContinuous,
+  metaRegression: metaRegression,
+  subgroupAnalysis: subgroupAnalysis,
+  leaveOneOut: leaveOneOut,
+  randomEffectsPooling: randomEffectsPooling,
+  fixedEffectsPooling: fixedEffectsPooling,
 };
\ No newline at end of file
@@ -110,26 +110,353 @@ function logistic(x) {
 
 const STD_NORMAL = gaussian(0, 1);
 
-// note: this is an approximation described in 10.1016/S0167-9473(99)00070-5
-// its max absolute error is an order of magnitude less than what users will care about for p-values, more for df > 5
-// we prefer this approximation because current offerings on NPM are bad:
-// -distributions: assumes its running on NodeJS (polyfill required to run on browser)
-// -stdlib: requires 175 sub-dependencies to get a CDF
-function _studentTCDF(q, df) {
-  if (df < 3) {
-    throw new Error(`3 or degrees of freedom are required; got ${df}`);
+// Lanczos approximation (g=7, n=9), accurate to ~15 significant digits for positive x
+const LANCZOS_COEFFICIENTS = [0.99999999999980993, 676.5203681218851, -1259.1392167224028, 771.32342877765313,
+  -176.61502916214059, 12.507343278686905, -0.13857109526572012, 9.9843695780195716e-6, 1.5056327351493116e-7];
+
+function logGamma(x) {
+  if (x < 0.5) {
+    // reflection formula
+    return Math.log(Math.PI / Math.sin(Math.PI * x)) - logGamma(1 - x);
+  }
+  const xShift = x - 1;
+  let a = LANCZOS_COEFFICIENTS[0];
+  const t = xShift + 7.5;
+  for (let i = 1; i < 9; i++) {
+    a += LANCZOS_COEFFICIENTS[i] / (xShift + i);
+  }
+  return 0.5 * Math.log(2 * Math.PI) + (xShift + 0.5) * Math.log(t) - t + Math.log(a);
+}
+
+// the regularized lower incomplete gamma function P(a, x), via its series expansion for small x and a continued
+// fraction (modified Lentz's method) otherwise. see Numerical Recipes 6.2
+function _lowerRegularizedGamma(a, x) {
+  if (x <= 0) {
+    return 0;
+  }
+  const epsilon = 1e-15;
+  const maxIterations = 1000;
+  const logPrefix = -x + a * Math.log(x) - logGamma(a);
+
+  if (x < a + 1) {
+    let ap = a;
+    let del = 1 / a;
+    let total = del;
+    for (let i = 0; i < maxIterations && Math.abs(del) > Math.abs(total) * epsilon; i++) {
+      ap += 1;
+      del *= x / ap;
+      total += del;
+    }
+    return total * Math.exp(logPrefix);
+  }
+
+  const tiny = 1e-300;
+  let b = x + 1 - a;
+  let c = 1 / tiny;
+  let d = 1 / b;
+  let h = d;
+  for (let i = 1; i < maxIterations; i++) {
+    const an = -i * (i - a);
+    b += 2;
+    d = an * d + b;
+    d = Math.abs(d) < tiny ? tiny : d;
+    c = b + an / c;
+    c = Math.abs(c) < tiny ? tiny : c;
+    d = 1 / d;
+    const del = d * c;
+    h *= del;
+    if (Math.abs(del - 1) < epsilon) {
+      break;
+    }
+  }
+  return 1 - Math.exp(logPrefix) * h;
+}
+
+/**
+ * @param {Number} q the quantile
+ * @param {Number} df degrees of freedom (> 0)
+ * @return {Number} P(X <= q) for X ~ chi-squared(df)
+ */
+function chiSquaredCDF(q, df) {
+  if (!(df > 0)) {
+    throw new Error(`Degrees of freedom must be positive; got ${df}`);
+  }
+  return _lowerRegularizedGamma(df / 2, q / 2);
+}
+
+// the continued fraction for the regularized incomplete beta function, by modified Lentz's method.
+// see Numerical Recipes 6.4
+function _betaContinuedFraction(x, a, b) {
+  const epsilon = 1e-15;
+  const maxIterations = 1000;
+  const tiny = 1e-300;
+  let c = 1;
+  let d = 1 - (a + b) * x / (a + 1);
+  d = Math.abs(d) < tiny ? tiny : d;
+  d = 1 / d;
+  let h = d;
+  for (let m = 1; m < maxIterations; m++) {
+    const m2 = 2 * m;
+    // even step
+    let aa = m * (b - m) * x / ((a + m2 - 1) * (a + m2));
+    d = 1 + aa * d;
+    d = Math.abs(d) < tiny ? tiny : d;
+    c = 1 + aa / c;
+    c = Math.abs(c) < tiny ? tiny : c;
+    d = 1 / d;
+    h *= d * c;
+    // odd step
+    aa = -(a + m) * (a + b + m) * x / ((a + m2) * (a + m2 + 1));
+    d = 1 + aa * d;
+    d = Math.abs(d) < tiny ? tiny : d;
+    c = 1 + aa / c;
+    c = Math.abs(c) < tiny ? tiny : c;
+    d = 1 / d;
+    const del = d * c;
+    h *= del;
+    if (Math.abs(del - 1) < epsilon) {
+      break;
+    }
+  }
+  return h;
+}
+
+// the regularized incomplete beta function I_x(a, b)
+function _regularizedIncompleteBeta(x, a, b) {
+  if (x <= 0) {
+    return 0;
+  }
+  if (x >= 1) {
+    return 1;
+  }
+  const logPrefix = logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x);
+  // the continued fraction converges rapidly for x < (a + 1) / (a + b + 2); otherwise use the symmetry relation
+  if (x < (a + 1) / (a + b + 2)) {
+    return Math.exp(logPrefix) * _betaContinuedFraction(x, a, b) / a;
   }
-  const g = (df - 1.5) / Math.pow(df - 1, 2);
-  const z = Math.sqrt(Math.log(1 + Math.pow(q, 2) / df) / g);
-  return q < 0 ? 1 - STD_NORMAL.cdf(z) : STD_NORMAL.cdf(z);
+  return 1 - Math.exp(logPrefix) * _betaContinuedFraction(1 - x, b, a) / b;
+}
+
+/**
+ * @param {Number} p the probability (0-1)
+ * @param {Number} a the first shape parameter (> 0)
+ * @param {Number} b the second shape parameter (> 0)
+ * @return {Number} the value q for which P(X <= q) = p, for X ~ Beta(a, b)
+ */
+function betaQuantile(p, a, b) {
+  if (!(a > 0) || !(b > 0)) {
+    throw new Error(`Shape parameters must be positive; got ${a} and ${b}`);
+  }
+  if (p <= 0 || p >= 1) {
+    return p <= 0 ? 0 : 1;
+  }
+  // the CDF is monotone on [0, 1], so bisection is robust, if not fast
+  let lower = 0;
+  let upper = 1;
+  const tolerance = 1e-14;
+  while (upper - lower > tolerance) {
+    const mid = (lower + upper) / 2;
+    if (_regularizedIncompleteBeta(mid, a, b) < p) {
+      lower = mid;
+    } else {
+      upper = mid;
+    }
+  }
+  return (lower + upper) / 2;
+}
+
+/**
+ * @param {Number} q the quantile
+ * @param {Number} df degrees of freedom (> 0)
+ * @return {Number} P(X <= q) for X ~ t(df)
+ */
+function studentTCDF(q, df) {
+  if (!(df > 0)) {
+    throw new Error(`Degrees of freedom must be positive; got ${df}`);
+  }
+  const tail = .5 * _regularizedIncompleteBeta(df / (df + Math.pow(q, 2)), df / 2, .5);
+  return q > 0 ? 1 - tail : tail;
+}
+
+/**
+ * @param {Number} p the probability (0 < p < 1)
+ * @param {Number} df degrees of freedom (> 0)
+ * @return {Number} the value q for which P(X <= q) = p, for X ~ t(df)
+ */
+function studentTQuantile(p, df) {
+  if (!(df > 0)) {
+    throw new Error(`Degrees of freedom must be positive; got ${df}`);
+  }
+  if (p <= 0 || p >= 1) {
+    return p <= 0 ? -Infinity : Infinity;
+  }
+  // the distribution is symmetric, so we only search the upper half
+  if (p === .5) {
+    return 0;
+  }
+  if (p < .5) {
+    return -studentTQuantile(1 - p, df);
+  }
+  if (df === 1) {
+    return Math.tan(Math.PI * (p - .5));
+  }
+
+  // t quantiles are always at least as extreme as normal quantiles, so bracket from there & bisect
+  let lower = STD_NORMAL.ppf(p);
+  let upper = lower * 2 || 1;
+  while (studentTCDF(upper, df) < p) {
+    lower = upper;
+    upper *= 2;
+  }
+  const tolerance = 1e-12;
+  while (upper - lower > tolerance * Math.max(1, upper)) {
+    const mid = (lower + upper) / 2;
+    if (studentTCDF(mid, df) < p) {
+      lower = mid;
+    } else {
+      upper = mid;
+    }
+  }
+  return (lower + upper) / 2;
+}
+
+/**
+ * compute I^2 (the proportion of variability in effects due to heterogeneity rather than sampling error) from
+ * cochrane's Q, with a CI from the test-based method on log H of Higgins & Thompson 2002
+ * for reference: https://github.com/guido-s/netmeta/blob/257630f656d90e0d21b5ab4715c05ec29947c637/R/meta-het.R#L53
+ *
+ * @param {Number} q cochrane's Q
+ * @param {Number} df the degrees of freedom of Q
+ * @param {Number} width the width of the CI (0-1)
+ * @return an object with properties `i2`, `lower` (optional, insufficient data), `upper` (optional). or, undefined if
+ * there are no degrees of freedom
+ */
+function computeISquared(q, df, width=.95) {
+  if (df === 0) {
+    return undefined;
+  }
+
+  const backTransform = (x) => (Math.pow(x, 2) - 1) / Math.pow(x, 2);
+
+  const k = df + 1;
+  const H = Math.sqrt(q / df)
+  let selogH;
+  if (q > k) {
+    if (k >= 2) {
+      selogH = 0.5 * (Math.log(q) - Math.log(k - 1)) / (Math.sqrt(2 * q) - Math.sqrt(2 * k - 3));
+    }
+  } else {
+    if (k > 2) {
+      selogH = Math.sqrt(1 / (2 * (k - 2)) * (1 - 1 / (3 * Math.pow(k - 2, 2))));
+    }
+  }
+
+  if (!selogH) {
+    return {
+      i2: backTransform(Math.max(H, 1)),
+    };
+  }
+
+  const logH = Math.log(Math.max(H, 1));
+  const z = STD_NORMAL.ppf(1 - (1 - width) / 2);
+  return {
+    i2: backTransform(Math.max(H, 1)),
+    lower: backTransform(Math.max(Math.exp(logH - z * selogH), 1)),
+    upper: backTransform(Math.max(Math.exp(logH + z * selogH), 1)),
+  };
+}
+
+/**
+ * compute a prediction interval for the effect in a new study, per Higgins, Thompson & Spiegelhalter 2009
+ *
+ * @param {Number} effect the pooled (random effects) estimate
+ * @param {Number} standardError the standard error of the pooled estimate
+ * @param {Number} tau2 the estimated between study variance
+ * @param {Number} df the degrees of freedom of the t distribution (k - 2 for a pairwise meta-analysis of k studies)
+ * @param {Number} width the width of the interval (0-1)
+ * @return {{lower: Number, upper: Number}|undefined} undefined if there are no degrees of freedom
+ */
+function computePredictionInterval(effect, standardError, tau2, df, width=.95) {
+  if (!(df >= 1)) {
+    return undefined;
+  }
+  const t = studentTQuantile(1 - (1 - width) / 2, df);
+  const sePredict = Math.sqrt(Math.pow(standardError, 2) + tau2);
+  return {
+    lower: effect - t * sePredict,
+    upper: effect + t * sePredict,
+  };
+}
+
+/**
+ * compute Gauss-Hermite quadrature nodes & weights, for integrals of the form int exp(-x^2) f(x) dx.
+ * roots of the Hermite polynomial are refined by Newton's method; see Numerical Recipes 4.5
+ *
+ * @param {Number} n the number of nodes (> 0)
+ * @return {{nodes: Array<Number>, weights: Array<Number>}}
+ */
+function gaussHermite(n) {
+  if (!(n >= 1) || !Number.isInteger(n)) {
+    throw new Error(`Number of quadrature nodes must be a positive integer; got ${n}`);
+  }
+  const epsilon = 1e-14;
+  const maxIterations = 100;
+  const piToMinusQuarter = Math.pow(Math.PI, -.25);
+  const nodes = new Array(n);
+  const weights = new Array(n);
+
+  let z = 0;
+  for (let i = 0; i < Math.floor((n + 1) / 2); i++) {
+    // initial guesses for the largest roots first, then extrapolating from previous roots
+    if (i === 0) {
+      z = Math.sqrt(2 * n + 1) - 1.85575 * Math.pow(2 * n + 1, -.16667);
+    } else if (i === 1) {
+      z -= 1.14 * Math.pow(n, .426) / z;
+    } else if (i === 2) {
+      z = 1.86 * z - .86 * nodes[0];
+    } else if (i === 3) {
+      z = 1.91 * z - .91 * nodes[1];
+    } else {
+      z = 2 * z - nodes[i - 2];
+    }
+
+    let derivative = 0;
+    for (let iter = 0; iter < maxIterations; iter++) {
+      // the recurrence relation for orthonormal Hermite polynomials
+      let p1 = piToMinusQuarter;
+      let p2 = 0;
+      for (let j = 0; j < n; j++) {
+        const p3 = p2;
+        p2 = p1;
+        p1 = z * Math.sqrt(2 / (j + 1)) * p2 - Math.sqrt(j / (j + 1)) * p3;
+      }
+      derivative = Math.sqrt(2 * n) * p2;
+      const previous = z;
+      z = previous - p1 / derivative;
+      if (Math.abs(z - previous) <= epsilon) {
+        break;
+      }
+    }
+    nodes[i] = z;
+    nodes[n - 1 - i] = -z;
+    weights[i] = 2 / Math.pow(derivative, 2);
+    weights[n - 1 - i] = weights[i];
+  }
+
+  return { nodes, weights };
 }
 
 // perform classic matrix-formulation least squares + generate inferentials on coefficients
 // assumes a simple slope + intercept design matrix, all inferentials computed against a coef=0 two-sided null
-function linearRegression(y, x) {
+// optional `weights` give weighted least squares, with the residual variance scaled as R's lm
+// p-values are from the t distribution with n - 2 degrees of freedom
+function linearRegression(y, x, weights) {
   if (y.length !== x.length) {
     throw new Error('x and y lengths must be equal');
   }
+  if (weights && weights.length !== x.length) {
+    throw new Error('x and weights lengths must be equal');
+  }
   if (x.length <= 2) {
     throw new Error('Too few observations to fit a slope + intercept')
   }
@@ -137,29 +464,32 @@ function linearRegression(y, x) {
   const ones = x.map(() => 1);
   const X = Matrix.columnVector(ones).addColumn(1, x);
   const Y = Matrix.columnVector(y);
+  const W = Matrix.diagonal(weights || ones);
 
-  const beta = pseudoInverse(X.transpose().mmul(X)).mmul(X.transpose()).mmul(Y);
+  const XtWXInverse = pseudoInverse(X.transpose().mmul(W).mmul(X));
+  const beta = XtWXInverse.mmul(X.transpose()).mmul(W).mmul(Y);
 
   // standard errors
   const residuals = Matrix.subtract(Y, X.mmul(beta));
-  const squaredResiduals = Matrix.pow(residuals, 2);
-  const sigmaSquaredHat = squaredResiduals.sum() / (X.rows - X.columns);
-  const covarianceMatrix = pseudoInverse(X.transpose().mmul(X)).mul(sigmaSquaredHat);
+  const weightedSquaredResiduals = Matrix.pow(residuals, 2).transpose().mmul(W);
+  const sigmaSquaredHat = weightedSquaredResiduals.sum() / (X.rows - X.columns);
+  const covarianceMatrix = XtWXInverse.mul(sigmaSquaredHat);
   const betaSEs = covarianceMatrix.diag().map((x) => Math.sqrt(x));
 
   // inferential tests
   const coefs = beta.to1DArray();
   const tStats = coefs.map((b, ix) => b / betaSEs[ix]);
-  const testP = tStats.map((t) => {
-    const p1 = _studentTCDF(t, X.rows - X.columns - 1);
-    return p1 > .5 ? 2 * (1 - p1) : 2 * p1;
-  });
+  const df = X.rows - X.columns;
+  const testP = tStats.map((t) => 2 * (1 - studentTCDF(Math.abs(t), df)));
 
   return {
     intercept: coefs[0],
+    interceptSE: betaSEs[0],
     interceptP: testP[0],
     slope: coefs[1],
+    slopeSE: betaSEs[1],
     slopeP: testP[1],
+    df,
   };
 }
 
@@ -173,5 +503,13 @@ module.exports = {
   preconditionAllPositive,
   preconditionRange,
   linearRegression,
+  logGamma,
+  chiSquaredCDF,
+  betaQuantile,
+  studentTCDF,
+  studentTQuantile,
+  computeISquared,
+  computePredictionInterval,
+  gaussHermite,
   STD_NORMAL,
 };
\ No newline at end of file
@@ -0,0 +1,264 @@
+const assert = require('assert');
+const { eggerTest, beggTest, thompsonSharpTest, petersTest, harbordTest, trimAndFill,
+  computeFunnel } = require('../src/bias');
+const { pooledRate } = require('../src/pooling');
+
+function within(real, expected, epsilon=.0001) {
+  return Math.abs(real - expected) <= epsilon;
+}
+
+function fixedMean(te, se) {
+  const w = se.map((s) => 1 / Math.pow(s, 2));
+  return te.reduce((acc, t, ix) => acc + w[ix] * t, 0) / w.reduce((acc, wi) => acc + wi, 0);
+}
+
+// BCG vaccine trials (metafor's dat.bcg) as [tpos, tneg, cpos, cneg]
+const bcg = [
+  [4, 119, 11, 128], [6, 300, 29, 274], [3, 228, 11, 209], [62, 13536, 248, 12619], [33, 5036, 47, 5761],
+  [180, 1361, 372, 1079], [8, 2537, 10, 619], [505, 87886, 499, 87892], [29, 7470, 45, 7232],
+  [17, 1699, 65, 1600], [186, 50448, 141, 27197], [5, 2493, 3, 2338], [27, 16886, 29, 17825],
+];
+
+describe('Small-study effect tests', function () {
+  /*
+    replicate expected estimates in r with:
+    library(metafor)
+    dat <- escalc(measure="RR", ai=tpos, bi=tneg, ci=cpos, di=cneg, data=dat.bcg)
+    res <- rma(yi, vi, data=dat)
+    regtest(res, model='lm')
+    ranktest(res)
+  */
+  const te = bcg.map(([tpos, tneg, cpos, cneg]) => Math.log((tpos / (tpos + tneg)) / (cpos / (cpos + cneg))));
+  const se = bcg.map(([tpos, tneg, cpos, cneg]) => Math.sqrt(1 / tpos - 1 / (tpos + tneg) + 1 / cpos - 1 / (cpos + cneg)));
+  const eventsT = bcg.map(([tpos]) => tpos);
+  const nT = bcg.map(([tpos, tneg]) => tpos + tneg);
+  const eventsC = bcg.map(([, , cpos]) => cpos);
+  const nC = bcg.map(([, , cpos, cneg]) => cpos + cneg);
+
+  it('should perform Egger\'s test', function () {
+    const { test, statistic, df, p } = eggerTest(te, se);
+    assert.strictEqual(test, 'Egger');
+    assert.ok(within(statistic, -1.4013));
+    assert.strictEqual(df, 11);
+    assert.ok(within(p, .1887));
+  });
+
+  it('should perform Begg\'s test', function () {
+    const { test, tau, p } = beggTest(te, se);
+    assert.strictEqual(test, 'Begg');
+    assert.ok(within(tau, .0256));
+    // the normal approximation, rather than ranktest's exact p-value of .9524
+    assert.ok(within(p, .9029));
+  });
+
+  /*
+    the regressions of meta::metabias(..., method.bias = 'mm' / 'Peters' / 'Harbord'), in base r with:
+    a <- tpos; b <- tneg; c <- cpos; d <- cneg; n <- a + b + c + d
+    yi <- log((a / (a + b)) / (c / (c + d))); vi <- 1 / a - 1 / (a + b) + 1 / c - 1 / (c + d)
+    # Thompson & Sharp, by DerSimonian-Laird meta-regression on sqrt(vi)
+    X <- cbind(1, sqrt(vi)); W <- diag(1 / vi)
+    P <- W - W %*% X %*% solve(t(X) %*% W %*% X) %*% t(X) %*% W
+    tau2 <- max(0, (t(yi) %*% P %*% yi - (length(yi) - 2)) / sum(diag(P)))
+    Wr <- diag(1 / (vi + c(tau2))); vb <- solve(t(X) %*% Wr %*% X); beta <- vb %*% t(X) %*% Wr %*% yi
+    # Peters
+    summary(lm(log(a * d / (b * c)) ~ I(1 / n), weights = 1 / (1 / (a + c) + 1 / (b + d))))
+    # Harbord
+    Z <- a - (a + b) * (a + c) / n; V <- (a + b) * (c + d) * (a + c) * (b + d) / (n^2 * (n - 1))
+    summary(lm(I(Z / sqrt(V)) ~ sqrt(V)))
+  */
+  it('should perform Thompson & Sharp\'s test', function () {
+    const { test, bias, se: biasSE, statistic, p, tau2 } = thompsonSharpTest(te, se);
+    assert.strictEqual(test, 'Thompson-Sharp');
+    assert.ok(within(tau2, 0.28605802863571916, 1e-10));
+    assert.ok(within(bias, -0.77795222742456749, 1e-10));
+    assert.ok(within(biasSE, 0.92844538834672918, 1e-10));
+    assert.ok(within(statistic, -0.83790844048442858, 1e-10));
+    assert.ok(within(p, 0.40208212797300696, 1e-8));
+  });
+
+  it('should perform Peters\' test', function () {
+    const { test, bias, se: biasSE, statistic, df, p } = petersTest(eventsT, nT, eventsC, nC);
+    assert.strictEqual(test, 'Peters');
+    assert.strictEqual(df, 11);
+    assert.ok(within(bias, -563.68820391334327, 1e-8));
+    assert.ok(within(biasSE, 413.72334002077565, 1e-8));
+    assert.ok(within(statistic, -1.36247619939701003, 1e-10));
+    assert.ok(within(p, 0.20029179228413554, 1e-10));
+  });
+
+  it('should perform Harbord\'s test', function () {
+    const { test, bias, se: biasSE, statistic, df, p } = harbordTest(eventsT, nT, eventsC, nC);
+    assert.strictEqual(test, 'Harbord');
+    assert.strictEqual(df, 11);
+    assert.ok(within(bias, -2.09299154079423699, 1e-10));
+    assert.ok(within(biasSE, 1.66576544178061714, 1e-10));
+    assert.ok(within(statistic, -1.25647434404506386, 1e-10));
+    assert.ok(within(p, 0.23497195212206576, 1e-10));
+  });
+
+  it('should run on pooled study estimates', function () {
+    const events = [10, 15, 20, 24, 25, 39, 10];
+    const ns = [50, 65, 90, 100, 95, 150, 160];
+    const { studyEstimates } = pooledRate(ns, events);
+    const { p } = eggerTest(studyEstimates.map((s) => s.te), studyEstimates.map((s) => s.seTE));
+    assert.ok(p > 0 && p < 1);
+    assert.ok(within(studyEstimates[0].te, Math.log(10 / 40), 1e-10));
+  });
+
+  it('should exclude studies without information & reject small samples', function () {
+    assert.throws(() => eggerTest(te.slice(0, 2), se.slice(0, 2)),
+      { message: 'At least 3 studies are required to test for small-study effects; got 2' });
+    assert.throws(() => harbordTest([0, 0, 5, 6], [10, 10, 20, 20], [0, 0, 7, 8], [10, 10, 20, 20]),
+      { message: 'At least 3 studies are required to test for small-study effects; got 2' });
+    assert.throws(() => petersTest([11, 1, 5], [10, 10, 20], [1, 2, 7], [10, 10, 20]),
+      { message: 'event is greater than n at index 0' });
+  });
+});
+
+describe('Trim-and-fill', function () {
+  // a symmetric funnel about .5, less 3 small studies with the smallest effects
+  const te = [];
+  const se = [];
+  [.1, .2, .3, .4, .5].forEach((s) => {
+    [s, -.8 * s, .3 * s, -.2 * s].forEach((d) => {
+      if (s < .25 || d > -.2) {
+        te.push(.5 + d);
+        se.push(s);
+      }
+    });
+  });
+
+  it('should impute studies missing from an asymmetric funnel', function () {
+    ['L0', 'R0'].forEach((estimator) => {
+      const { k0, side, imputed, estimate, lower, upper, tau2 } = trimAndFill(te, se, false, .95, { estimator });
+      assert.strictEqual(k0, 3);
+      assert.strictEqual(side, 'left');
+      assert.deepStrictEqual(imputed.map((study) => study.se), [.3, .4, .5]);
+      // the trimmed studies mirrored about the pooled estimate of the rest
+      const center = (imputed[0].te + .5 + .3) / 2;
+      assert.ok(within(imputed[1].te, 2 * center - (.5 + .4)));
+      assert.ok(within(imputed[2].te, 2 * center - (.5 + .5)));
+      assert.ok(estimate < fixedMean(te, se));
+      assert.ok(within(estimate, .5, .02));
+      assert.ok(lower < estimate && estimate < upper);
+      assert.strictEqual(tau2, 0);
+    });
+  });
+
+  it('should impute studies on either side', function () {
+    const right = trimAndFill(te.map((t) => -t), se);
+    const left = trimAndFill(te, se);
+    assert.strictEqual(right.side, 'right');
+    assert.strictEqual(right.k0, left.k0);
+    assert.ok(within(right.estimate, -left.estimate));
+    assert.ok(within(right.lower, -left.upper));
+    right.imputed.forEach((study, ix) => assert.ok(within(study.te, -left.imputed[ix].te)));
+    assert.strictEqual(trimAndFill(te, se, true, .95, { side: 'right' }).k0, 0);
+  });
+
+  it('should not impute studies for a symmetric funnel', function () {
+    const symmetric = [.1, .2, .3].flatMap((s) => [.5 - s, .5 + s]);
+    const { k0, imputed, estimate } = trimAndFill(symmetric, [.1, .1, .2, .2, .3, .3]);
+    assert.strictEqual(k0, 0);
+    assert.deepStrictEqual(imputed, []);
+    assert.ok(within(estimate, .5));
+  });
+
+  /*
+    metafor::trimfill(rma(yi, vi, data = dat, method = 'DL' / 'FE'), estimator = 'L0' / 'R0') on the log risk ratios
+    of dat.bcg, by the trimming loop of metafor:::trimfill.rma.uni, run in base r with DerSimonian-Laird / inverse
+    variance pooling in place of rma.uni
+  */
+  it('should match metafor on the BCG trials', function () {
+    const bcgTE = bcg.map(([a, b, c, d]) => Math.log((a / (a + b)) / (c / (c + d))));
+    const bcgSE = bcg.map(([a, b, c, d]) => Math.sqrt(1 / a - 1 / (a + b) + 1 / c - 1 / (c + d)));
+
+    const l0 = trimAndFill(bcgTE, bcgSE, true, .95, { estimator: 'L0' });
+    assert.strictEqual(l0.k0, 1);
+    assert.strictEqual(l0.side, 'right');
+    assert.ok(within(l0.imputed[0].te, 0.30951032488774843, 1e-10));
+    assert.ok(within(l0.estimate, -0.65607321298860188, 1e-10));
+    assert.ok(within(l0.lower, -0.99605523445653954, 1e-6));
+    assert.ok(within(l0.upper, -0.31609119152066423, 1e-6));
+    assert.ok(within(l0.tau2, 0.30813215328698351, 1e-10));
+
+    const r0 = trimAndFill(bcgTE, bcgSE, true, .95, { estimator: 'R0' });
+    assert.strictEqual(r0.k0, 0);
+    assert.strictEqual(r0.side, 'right');
+    assert.ok(within(r0.estimate, -0.71411722207322703, 1e-10));
+    assert.ok(within(r0.tau2, 0.30876026286237646, 1e-10));
+
+    ['L0', 'R0'].forEach((estimator) => {
+      const { k0, side, imputed, estimate, tau2 } = trimAndFill(bcgTE, bcgSE, false, .95, { estimator });
+      assert.strictEqual(k0, 4);
+      assert.strictEqual(side, 'right');
+      [0.78929281926007910, 0.85949920580859962, 1.00333667298872475, 1.03884623938568676]
+        .forEach((expected, ix) => assert.ok(within(imputed[ix].te, expected, 1e-10)));
+      assert.ok(within(estimate, -0.29102599210635283, 1e-10));
+      assert.strictEqual(tau2, 0);
+    });
+  });
+
+  it('should default to the left side with equal standard errors', function () {
+    const equalSE = [.2, .2, .2, .2, .2];
+    const result = trimAndFill([.1, .3, .5, .2, .9], equalSE);
+    assert.strictEqual(result.side, 'left');
+    assert.deepStrictEqual(result, trimAndFill([.1, .3, .5, .2, .9], equalSE, true, .95, { side: 'left' }));
+    assert.ok(Number.isFinite(result.estimate));
+  });
+
+  it('should throw if the number of missing studies does not converge', function () {
+    assert.throws(() => trimAndFill(te, se, false, .95, { maxIterations: 1 }),
+      { message: 'Trim-and-fill did not converge in 1 iterations' });
+  });
+
+  it('should reject unrecognized options', function () {
+    assert.throws(() => trimAndFill(te, se, true, .95, { estimator: 'Q0' }),
+      { message: "Unrecognized estimator 'Q0'; expected one of L0, R0" });
+    assert.throws(() => trimAndFill(te, se, true, .95, { side: 'up' }),
+      { message: "Unrecognized side 'up'; expected one of left, right" });
+    assert.throws(() => trimAndFill([.1, .2], [.1, .2]),
+      { message: 'At least 3 studies are required to test for small-study effects; got 2' });
+  });
+});
+
+describe('Funnel', function () {
+  const te = [.2, .5, .9, .4];
+  const se = [.1, .4, .5, .2];
+
+  it('should compute boundaries about the fixed effects estimate', function () {
+    const { center, leftFunnel, rightFunnel, contours } = computeFunnel(te, se);
+    assert.ok(within(center, fixedMean(te, se)));
+    assert.strictEqual(leftFunnel.length, 500);
+    assert.deepStrictEqual(leftFunnel[0], [center, 0]);
+    assert.deepStrictEqual(rightFunnel[0], [center, 0]);
+    const [leftX, leftY] = leftFunnel[499];
+    const [rightX, rightY] = rightFunnel[499];
+    assert.strictEqual(leftY, .5);
+    assert.strictEqual(rightY, .5);
+    assert.ok(within(leftX, center - 1.96 * .5, .001));
+    assert.ok(within(rightX, center + 1.96 * .5, .001));
+    assert.deepStrictEqual(contours, []);
+  });
+
+  it('should compute contours about the null effect', function () {
+    const { center, leftFunnel, contours } = computeFunnel(te, se, { center: .3, level: .9,
+      contourLevels: [.9, .95, .99], transformation: Math.exp });
+    assert.ok(within(center, Math.exp(.3)));
+    assert.ok(within(leftFunnel[499][0], Math.exp(.3 - 1.6449 * .5)));
+    assert.deepStrictEqual(contours.map(({ level }) => level), [.9, .95, .99]);
+    [1.6449, 1.96, 2.5758].forEach((z, ix) => {
+      const { left, right } = contours[ix];
+      assert.ok(within(left[0][0], 1));
+      assert.ok(within(left[499][0], Math.exp(-z * .5)));
+      assert.ok(within(right[499][0], Math.exp(z * .5)));
+    });
+  });
+
+  it('should reject invalid levels', function () {
+    assert.throws(() => computeFunnel(te, se, { level: 95 }), { message: 'Value level not in range 0 to 1' });
+    assert.throws(() => computeFunnel(te, se, { contourLevels: [.9, 95] }),
+      { message: 'Value contourLevels not in range 0 to 1' });
+    assert.throws(() => computeFunnel([], []), { message: 'At least 1 study is required to compute a funnel' });
+  });
+});
@@ -0,0 +1,119 @@
+const assert = require('assert');
+const { estimateMean, estimateSD, fillFromSummaries, subsetSummaries, imputeSDs } = require('../src/conversion');
+
+function within(real, expected, epsilon=1e-6) {
+  return Math.abs(real - expected) <= epsilon;
+}
+
+describe('Mean & SD estimation from summaries', function () {
+  const n = 50;
+  const s1 = { min: 2, median: 7, max: 18 };
+  const s2 = { q1: 5, median: 7, q3: 10 };
+  const s3 = { min: 2, q1: 5, median: 7, q3: 10, max: 18 };
+
+  it('should estimate means by Luo', function () {
+    // w * (a + b) / 2 + (1 - w) * m, where w = 4 / (4 + n^.75)
+    assert.ok(within(estimateMean(n, s1), 7.5262462));
+    // w * (q1 + q3) / 2 + (1 - w) * m, where w = .7 + .39 / n
+    assert.ok(within(estimateMean(n, s2), 7.3539));
+    assert.ok(within(estimateMean(n, s3), 7.6223739));
+  });
+
+  it('should estimate means by Wan, Hozo & Bland', function () {
+    assert.strictEqual(estimateMean(n, s1, 'Wan'), 8.5);
+    assert.ok(within(estimateMean(n, s2, 'Wan'), 22 / 3));
+    assert.strictEqual(estimateMean(n, s3, 'Wan'), 8);
+    assert.strictEqual(estimateMean(n, s3, 'Bland'), 8);
+    assert.ok(within(estimateMean(10, s1, 'Hozo'), 8.65));
+    // the median is used directly for large samples
+    assert.strictEqual(estimateMean(n, s1, 'Hozo'), 7);
+  });
+
+  it('should estimate SDs by Wan & Shi', function () {
+    // (b - a) / (2 * qnorm((n - .375) / (n + .25)))
+    assert.ok(within(estimateSD(n, s1, 'Wan'), 3.5661291));
+    // (q3 - q1) / (2 * qnorm((.75 * n - .125) / (n + .25)))
+    assert.ok(within(estimateSD(n, s2, 'Wan'), 3.8165229));
+    assert.ok(within(estimateSD(n, s3, 'Wan'), 3.6913260));
+    // Shi only differs from Wan in S3
+    assert.strictEqual(estimateSD(n, s1), estimateSD(n, s1, 'Wan'));
+    assert.strictEqual(estimateSD(n, s2), estimateSD(n, s2, 'Wan'));
+    assert.ok(within(estimateSD(n, s3), 3.6719494));
+  });
+
+  it('should estimate SDs by Hozo & Bland', function () {
+    assert.ok(within(estimateSD(10, s1, 'Hozo'), 4.6992907));
+    assert.strictEqual(estimateSD(n, s1, 'Hozo'), 4);
+    assert.strictEqual(estimateSD(100, s1, 'Hozo'), 16 / 6);
+    assert.ok(within(estimateSD(n, s3, 'Bland'), Math.sqrt(15.125)));
+  });
+
+  it('should recover the SD of normal order statistics', function () {
+    // the (approximately) expected summaries of a standard normal sample of size 100, as assumed by Wan & Shi
+    const expected = { min: -2.4985906, q1: -0.6647125, median: 0, q3: 0.6647125, max: 2.4985906 };
+    ['Wan', 'Shi'].forEach((method) => assert.ok(within(estimateSD(100, expected, method), 1, 1e-5)));
+    assert.ok(within(estimateMean(100, expected), 0));
+  });
+
+  it('should reject insufficient summaries & inapplicable methods', function () {
+    assert.throws(() => estimateMean(n, { median: 7 }),
+      { message: 'Either a range (min & max) or quartiles (q1 & q3) are required' });
+    assert.throws(() => estimateMean(n, { q1: 5, q3: 10 }), { message: 'A median is required' });
+    assert.throws(() => estimateMean(n, s2, 'Hozo'), { message: "Hozo's method requires a range without quartiles" });
+    assert.throws(() => estimateSD(n, s1, 'Bland'), { message: "Bland's method requires both a range & quartiles" });
+    assert.throws(() => estimateSD(n, s1, 'Cai'),
+      { message: "Unrecognized method 'Cai'; expected one of Shi, Wan, Hozo, Bland" });
+    assert.throws(() => estimateSD(0, s1), { message: 'Sample size must be positive; got 0' });
+  });
+
+  it('should only fill missing means & SDs', function () {
+    const { mean, sd } = fillFromSummaries([50, 50, 50], [6, null, null], [3, null, undefined], {
+      median: [7, 7, undefined],
+      q1: [5, 5, 5],
+      q3: [10, 10, 10],
+      methodMean: 'Wan',
+    });
+    assert.deepStrictEqual(mean, [6, 22 / 3, null]);
+    assert.strictEqual(sd[0], 3);
+    assert.ok(within(sd[1], 3.8165229));
+    // no median is required for the SD
+    assert.ok(within(sd[2], 3.8165229));
+  });
+
+  it('should subset summaries to some studies', function () {
+    const summaries = { median: [7, 8, undefined], q1: [5, 6, 5], q3: [10, 11, 10], methodMean: 'Wan' };
+    assert.deepStrictEqual(subsetSummaries(summaries, [2, 0]),
+      { median: [undefined, 7], q1: [5, 5], q3: [10, 10], methodMean: 'Wan' });
+    assert.deepStrictEqual(summaries.median, [7, 8, undefined]);
+    assert.strictEqual(subsetSummaries(undefined, [0]), undefined);
+  });
+});
+
+describe('SD imputation', function () {
+  const ns = [10, 20, 30, 40, 50];
+  const sds = [2, null, 4, 6, undefined];
+
+  it('should impute each missing sd with the same value', function () {
+    assert.deepStrictEqual(imputeSDs(ns, sds), { sd: [2, 4, 4, 6, 4], imputedSD: 4 });
+    assert.deepStrictEqual(imputeSDs(ns, sds, 'max'), { sd: [2, 6, 4, 6, 6], imputedSD: 6 });
+    assert.deepStrictEqual(imputeSDs(ns, sds, 1.5).sd, [2, 1.5, 4, 6, 1.5]);
+  });
+
+  it('should impute pooled sds & quantiles', function () {
+    // sqrt((9 * 4 + 29 * 16 + 39 * 36) / 77)
+    assert.ok(within(imputeSDs(ns, sds, 'pooled').imputedSD, Math.sqrt(1904 / 77), 1e-10));
+    // quantile(c(2, 4, 6), .75)
+    assert.strictEqual(imputeSDs(ns, sds, 'quantile').imputedSD, 5);
+    assert.strictEqual(imputeSDs(ns, sds, 'quantile', .25).imputedSD, 3);
+  });
+
+  it('should not impute complete data', function () {
+    assert.deepStrictEqual(imputeSDs([10, 20], [1, 0]), { sd: [1, 0], imputedSD: undefined });
+  });
+
+  it('should reject invalid imputation', function () {
+    assert.throws(() => imputeSDs(ns, sds, -1), { message: 'An imputed SD must be positive; got -1' });
+    assert.throws(() => imputeSDs(ns, sds, 'quantile', 2), { message: 'Quantile must be in range 0 to 1; got 2' });
+    assert.throws(() => imputeSDs([10], [null]), { message: 'Insufficient data for imputing missing SDs' });
+  });
+});
@@ -1,7 +1,12 @@
 const assert = require('assert');
-const { NetworkMetaAnalysis, oddsRatioNMA, meanDifferenceNMA } = require('../src/nma');
+const { NetworkMetaAnalysis, oddsRatioNMA, riskRatioNMA, riskDifferenceNMA, meanDifferenceNMA,
+  standardizedMeanDifferenceNMA, contrastNMA, hazardRatioNMA, incidenceRateRatioNMA, leaveOneOutNMA } = require('../src/nma');
 const { Matrix } = require('ml-matrix');
 const {ComparisonStatistic} = require("../src");
+const { STD_NORMAL, studentTQuantile } = require('../src/util');
+const { computeTau2 } = require('../src/pooling');
+const { estimateMean, estimateSD, subsetSummaries } = require('../src/conversion');
+const { eggerTest } = require('../src/bias');
 
 /**
  * tests for NMA module
@@ -323,14 +328,36 @@ describe('Odds Ratio FE NMA', function () {
       funnel(net2, order='C, method.bias='egger')
      */
     const nmaFE = oddsRatioNMA(study, treatment, positiveCount, totalCount, false);
-    const { asymmetryP, asymmetryTest  } = nmaFE.computeComparisonAdjustedEffects('A');
-    assert.deepStrictEqual(asymmetryP, 0.4483014839311841);
+    // with comparison adjusted effects e & standard errors s: summary(lm(I(e / s) ~ I(1 / s)))
+    const { effects, asymmetryP, asymmetryTest  } = nmaFE.computeComparisonAdjustedEffects('A');
+    assert.ok(Math.abs(asymmetryP - 0.4478141500027206) < 1e-10);
     assert.deepStrictEqual(asymmetryTest, 'Egger');
+    // the same test as for pairwise meta-analyses
+    assert.deepStrictEqual(asymmetryP, eggerTest(effects.map((e) => e.effect), effects.map((e) => e.se)).p);
 
     const { asymmetryP: ap2, asymmetryTest: at2  } = nmaFE.computeComparisonAdjustedEffects('C');
-    assert.deepStrictEqual(ap2, 0.9673980987346369);
+    assert.ok(Math.abs(ap2 - 0.9673818070934361) < 1e-10);
     assert.deepStrictEqual(at2, 'Egger');
   })
+
+  it('should perform Egger Tests on as few as 5 effects', function() {
+    const studies = [1, 1, 2, 2, 3, 3, 4, 4, 5, 5];
+    const trts = ['A', 'B', 'A', 'B', 'A', 'B', 'A', 'B', 'A', 'B'];
+    const means = [10, 12, 11, 12.5, 9, 13, 10, 10.5, 12, 15];
+    const sds = [3, 3.5, 4, 4, 2.5, 3, 5, 4.5, 3, 3.2];
+    const ns = [40, 42, 25, 25, 60, 58, 15, 18, 30, 33];
+    const nma = meanDifferenceNMA(studies, trts, means, sds, ns, false);
+    // summary(lm(I(e / s) ~ I(1 / s))), as above
+    const { effects, asymmetryP, asymmetryTest } = nma.computeComparisonAdjustedEffects('A');
+    assert.strictEqual(effects.length, 5);
+    assert.ok(Math.abs(asymmetryP - 0.06046453386200093) < 1e-10);
+    assert.strictEqual(asymmetryTest, 'Egger');
+
+    const four = meanDifferenceNMA(studies.slice(0, 8), trts.slice(0, 8), means.slice(0, 8), sds.slice(0, 8),
+      ns.slice(0, 8), false).computeComparisonAdjustedEffects('A');
+    assert.strictEqual(four.asymmetryP, undefined);
+    assert.strictEqual(four.asymmetryTest, undefined);
+  })
 });
 
 describe('Mean Difference NMA', function () {
@@ -526,12 +553,52 @@ describe('Mean Difference NMA', function () {
   it('should produce valid heterogeneity statistics', function() {
     const nmaFE = meanDifferenceNMA(studies, trts, means, sds, ns, false);
     assert.deepStrictEqual(nmaFE.computeISquared(), {
-      i2: 0.19595891881666125,
+      i2: 0.19595891881666097,
       lower: 0,
       upper: 0.9163635910636153,
     })
   });
 
+  it('should estimate missing means & sds from summaries', function () {
+    const medians = [undefined, 9.5, undefined, undefined, undefined, undefined, undefined];
+    const q1s = [undefined, 7, undefined, undefined, undefined, undefined, undefined];
+    const q3s = [undefined, 12.5, undefined, undefined, undefined, undefined, undefined];
+    const missingMeans = [...means];
+    missingMeans[1] = null;
+    const missingSDs = [...sds];
+    missingSDs[1] = undefined;
+    const converted = meanDifferenceNMA(studies, trts, missingMeans, missingSDs, ns, true,
+      { summaries: { median: medians, q1: q1s, q3: q3s } });
+
+    const summary = { q1: 7, median: 9.5, q3: 12.5 };
+    const convertedMeans = [...means];
+    convertedMeans[1] = estimateMean(45, summary);
+    const convertedSDs = [...sds];
+    convertedSDs[1] = estimateSD(45, summary);
+    const expected = meanDifferenceNMA(studies, trts, convertedMeans, convertedSDs, ns, true);
+    assert.strictEqual(converted.getEffect(1, 2), expected.getEffect(1, 2));
+    assert.strictEqual(converted.getEffect(1, 3), expected.getEffect(1, 3));
+
+    assert.throws(() => meanDifferenceNMA(studies, trts, missingMeans, missingSDs, ns, true),
+      { message: 'Mean at index 1 is missing' });
+  });
+
+  it('should impute missing sds', function () {
+    const missingSDs = [...sds];
+    missingSDs[1] = undefined;
+    missingSDs[4] = null;
+    const imputed = meanDifferenceNMA(studies, trts, means, missingSDs, ns, true, { imputeSD: 'max' });
+    const imputedSDs = [...missingSDs];
+    imputedSDs[1] = sds[3];
+    imputedSDs[4] = sds[3];
+    const expected = meanDifferenceNMA(studies, trts, means, imputedSDs, ns, true);
+    assert.strictEqual(imputed.getEffect(1, 2), expected.getEffect(1, 2));
+    assert.strictEqual(imputed.getEffect(2, 3), expected.getEffect(2, 3));
+
+    const averaged = meanDifferenceNMA(studies, trts, means, missingSDs, ns, false);
+    assert.ok(!isNaN(averaged.getEffect(1, 2)));
+  });
+
   it('should gracefully skip egger test (too few observations)', function () {
     const nmaFE = meanDifferenceNMA(studies, trts, means, sds, ns, false);
     const res = nmaFE.computeComparisonAdjustedEffects(1);
@@ -586,6 +653,636 @@ describe('single study NMA', function() {
         { treatment: 1, pScore: 0.1743069448484177 }
       ]);
   });
+
+  it('should estimate no heterogeneity under random effects', function() {
+    // with no degrees of freedom, tau^2 would otherwise be 0 / 0
+    const fixed = oddsRatioNMA(studies, treatments, positive, total, false);
+    const random = oddsRatioNMA(studies, treatments, positive, total, true);
+    assert.deepStrictEqual(random.getEffect(1, 2), (10.5 / 3.5) / (12.5 / 8.5));
+    assert.deepStrictEqual(random.computeInferentialStatistics(1, 2, .95), fixed.computeInferentialStatistics(1, 2, .95));
+
+    // a tree of comparisons also has no degrees of freedom
+    const treeStudies = [1, 1, 2, 2];
+    const treeTreatments = ['A', 'B', 'B', 'C'];
+    const treePositive = [10, 12, 8, 15];
+    const treeTotal = [30, 31, 40, 42];
+    const treeFixed = oddsRatioNMA(treeStudies, treeTreatments, treePositive, treeTotal, false);
+    const treeRandom = oddsRatioNMA(treeStudies, treeTreatments, treePositive, treeTotal, true);
+    assert.ok(Number.isFinite(treeRandom.getEffect('A', 'C')));
+    assert.deepStrictEqual(treeRandom.getEffect('A', 'C'), treeFixed.getEffect('A', 'C'));
+    assert.deepStrictEqual(treeRandom.computeInferentialStatistics('A', 'C', .95),
+      treeFixed.computeInferentialStatistics('A', 'C', .95));
+  });
+
+  it('should estimate no heterogeneity for single multi-arm studies', function() {
+    [3, 4, 5, 6, 7].forEach((k) => {
+      const arms = [...Array(k).keys()];
+      const fit = (randomEffects) => oddsRatioNMA(arms.map(() => 1), arms, arms.map((ix) => 5 + ix), arms.map(() => 40),
+        randomEffects);
+      const random = fit(true);
+      const fixed = fit(false);
+      assert.strictEqual(random.computeISquared(.95), undefined);
+      assert.strictEqual(random.getTau2(0, 1), 0);
+      const { p, lower, upper } = random.computeInferentialStatistics(0, k - 1, .95);
+      const expected = fixed.computeInferentialStatistics(0, k - 1, .95);
+      assert.ok(Math.abs(p - expected.p) < 1e-10);
+      assert.ok(Math.abs(lower - expected.lower) < 1e-10);
+      assert.ok(Math.abs(upper - expected.upper) < 1e-10);
+    });
+  });
+});
+
+describe('Risk Ratio & Risk Difference NMA', function() {
+  // a faux network: A-B, A-B-C, B-C, with a zero cell in study 3
+  const studies = [1, 1, 2, 2, 2, 3, 3];
+  const treatments = ['A', 'B', 'A', 'B', 'C', 'B', 'C'];
+  const positive = [10, 12, 15, 20, 9, 0, 4];
+  const total = [13, 20, 50, 48, 51, 30, 32];
+
+  it('should produce direct effects for a single study', function() {
+    const rrNMA = riskRatioNMA([10, 10], [1, 2], [10, 12], [13, 20], false);
+    const logRR = Math.log((10 / 13) / (12 / 20));
+    const seLogRR = Math.sqrt(1 / 10 - 1 / 13 + 1 / 12 - 1 / 20);
+    assert.ok(Math.abs(rrNMA.getEffect(1, 2) - Math.exp(logRR)) < 1e-10);
+    assert.ok(Math.abs(rrNMA.getEffect(2, 1) - Math.exp(-logRR)) < 1e-10);
+    const rrStats = rrNMA.computeInferentialStatistics(1, 2, .95);
+    assert.ok(Math.abs(rrStats.lower - Math.exp(logRR - 1.959964 * seLogRR)) < 1e-5);
+    assert.ok(Math.abs(rrStats.upper - Math.exp(logRR + 1.959964 * seLogRR)) < 1e-5);
+
+    const rdNMA = riskDifferenceNMA([10, 10], [1, 2], [10, 12], [13, 20], false);
+    const rd = 10 / 13 - 12 / 20;
+    const seRD = Math.sqrt((10 / 13) * (3 / 13) / 13 + (12 / 20) * (8 / 20) / 20);
+    assert.ok(Math.abs(rdNMA.getEffect(1, 2) - rd) < 1e-10);
+    assert.ok(Math.abs(rdNMA.getEffect(2, 1) + rd) < 1e-10);
+    const rdStats = rdNMA.computeInferentialStatistics(1, 2, .95);
+    assert.ok(Math.abs(rdStats.lower - (rd - 1.959964 * seRD)) < 1e-5);
+    assert.ok(Math.abs(rdStats.upper - (rd + 1.959964 * seRD)) < 1e-5);
+  });
+
+  it('should apply a continuity correction to studies with zero cells', function() {
+    const rrNMA = riskRatioNMA(studies, treatments, positive, total, false);
+    const effectsB = rrNMA.computeStudyLevelEffects('B').filter(({ study }) => study === 3);
+    assert.deepStrictEqual(effectsB.length, 1);
+    assert.ok(Math.abs(effectsB[0].effect - (0.5 / 31) / (4.5 / 33)) < 1e-10);
+
+    const rdNMA = riskDifferenceNMA(studies, treatments, positive, total, false);
+    const rdEffectsB = rdNMA.computeStudyLevelEffects('B').filter(({ study }) => study === 3);
+    // the effect itself is uncorrected
+    assert.ok(Math.abs(rdEffectsB[0].effect - (0 - 4 / 32)) < 1e-10);
+    assert.ok(rdEffectsB[0].lower < rdEffectsB[0].effect && rdEffectsB[0].upper > rdEffectsB[0].effect);
+  });
+
+  it('should produce consistent network estimates', function() {
+    [riskRatioNMA, riskDifferenceNMA].forEach((nmaFunction) => {
+      [false, true].forEach((randomEffects) => {
+        const nma = nmaFunction(studies, treatments, positive, total, randomEffects);
+        assert.deepStrictEqual(nma.getTreatments().length, 3);
+        const ab = nma.computeInferentialStatistics('A', 'B', .95);
+        const ba = nma.computeInferentialStatistics('B', 'A', .95);
+        assert.ok(Math.abs(ab.p - ba.p) < 1e-10);
+        assert.ok(ab.lower < nma.getEffect('A', 'B') && ab.upper > nma.getEffect('A', 'B'));
+        assert.deepStrictEqual(nma.computePScores(true).length, 3);
+        assert.ok(nma.computeISquared().i2 >= 0);
+      });
+    });
+  });
+
+  it('should combine evidence on the appropriate scales', function() {
+    const rrNMA = riskRatioNMA(studies, treatments, positive, total, false);
+    assert.ok(Math.abs(rrNMA.getEffect('A', 'B') * rrNMA.getEffect('B', 'C') - rrNMA.getEffect('A', 'C')) < 1e-10);
+    assert.ok(Math.abs(rrNMA.getEffect('A', 'A') - 1) < 1e-10);
+
+    const rdNMA = riskDifferenceNMA(studies, treatments, positive, total, false);
+    assert.ok(Math.abs(rdNMA.getEffect('A', 'B') + rdNMA.getEffect('B', 'C') - rdNMA.getEffect('A', 'C')) < 1e-10);
+    assert.ok(Math.abs(rdNMA.getEffect('A', 'A')) < 1e-10);
+  });
+
+  it('should not produce a model for invalid counts', function() {
+    assert.throws(() => riskRatioNMA([1, 1], ['A', 'B'], [10, 30], [20, 20], false));
+    assert.throws(() => riskDifferenceNMA([1, 1], ['A', 'B'], [10, 30], [20, 20], false));
+  });
+});
+
+describe('Standardized Mean Difference NMA', function () {
+  // the same faux dataset as the mean difference NMA
+  const studies = ['A', 'A', 'B', 'B', 'B', 'C', 'C'];
+  const trts = [1, 2, 1, 2, 3, 3, 2];
+  const means = [8, 10, 7, 10.5, 10.5, 10, 11];
+  const sds = [4.923423, 3.867062, 3.250787, 6.349051, 6.664182, 4.324474, 4.301156];
+  const ns = [63, 45, 35, 44, 53, 75, 29];
+
+  /* verify with R code:
+    library(meta)
+    m <- metacont(45, 10, 3.867062, 63, 8, 4.923423, sm='SMD', method.smd='Hedges')
+    -m$TE # Hedges' g, for 1 vs. 2
+   */
+  it('should produce Hedges\' g for a single study', function () {
+    const nma = standardizedMeanDifferenceNMA(['A', 'A'], [1, 2], [8, 10], [4.923423, 3.867062], [63, 45], false);
+    const pooledSD = Math.sqrt((62 * Math.pow(4.923423, 2) + 44 * Math.pow(3.867062, 2)) / 106);
+    const g = (-2 / pooledSD) * (1 - 3 / (4 * 108 - 9));
+    const se = Math.sqrt(108 / (63 * 45) + Math.pow(g, 2) / (2 * (108 - 3.94)));
+    assert.ok(Math.abs(nma.getEffect(1, 2) - g) < 1e-10);
+    const stats = nma.computeInferentialStatistics(1, 2, .95);
+    assert.ok(Math.abs(stats.lower - (g - 1.959964 * se)) < 1e-5);
+    assert.ok(Math.abs(stats.upper - (g + 1.959964 * se)) < 1e-5);
+  });
+
+  it('should produce Cohen\'s d for a single study', function () {
+    const nma = standardizedMeanDifferenceNMA(['A', 'A'], [1, 2], [8, 10], [4.923423, 3.867062], [63, 45], false,
+      'Cohen');
+    const pooledSD = Math.sqrt((62 * Math.pow(4.923423, 2) + 44 * Math.pow(3.867062, 2)) / 106);
+    assert.ok(Math.abs(nma.getEffect(1, 2) - (-2 / pooledSD)) < 1e-10);
+  });
+
+  it('should be invariant to the scale of the outcome within a study', function () {
+    const nma = standardizedMeanDifferenceNMA(studies, trts, means, sds, ns, true);
+    // study B measured on an instrument 10x the scale of the others
+    const rescale = (x, ix) => studies[ix] === 'B' ? 10 * x : x;
+    const rescaledNMA = standardizedMeanDifferenceNMA(studies, trts, means.map(rescale), sds.map(rescale), ns, true);
+    [[1, 2], [1, 3], [2, 3]].forEach(([a, b]) => {
+      assert.ok(Math.abs(nma.getEffect(a, b) - rescaledNMA.getEffect(a, b)) < 1e-10);
+    });
+
+    // whereas the mean difference NMA is not
+    const mdNMA = meanDifferenceNMA(studies, trts, means, sds, ns, true);
+    const rescaledMDNMA = meanDifferenceNMA(studies, trts, means.map(rescale), sds.map(rescale), ns, true);
+    assert.ok(Math.abs(mdNMA.getEffect(1, 2) - rescaledMDNMA.getEffect(1, 2)) > 1);
+  });
+
+  it('should shrink effects towards 0 with Hedges\' correction', function () {
+    const hedges = standardizedMeanDifferenceNMA(studies, trts, means, sds, ns, false);
+    const cohen = standardizedMeanDifferenceNMA(studies, trts, means, sds, ns, false, 'Cohen');
+    assert.ok(Math.abs(hedges.getEffect(1, 2)) < Math.abs(cohen.getEffect(1, 2)));
+    assert.ok(hedges.getEffect(1, 2) < 0);
+    assert.ok(Math.abs(hedges.getEffect(1, 2) + hedges.getEffect(2, 1)) < 1e-10);
+  });
+
+  it('should not accept an unknown method', function () {
+    assert.throws(() => standardizedMeanDifferenceNMA(studies, trts, means, sds, ns, false, 'Glass'),
+      {
+        message: 'Unrecognized SMD method \'Glass\'; expected \'Hedges\' or \'Cohen\'',
+      });
+  });
+});
+
+describe('Contrast-level NMA', function () {
+  // the mean difference NMA faux dataset, expressed as contrasts. study B is 3-armed, and its contrasts are reported out
+  // of order and in mixed directions
+  const studies = ['A', 'B', 'B', 'B', 'C'];
+  const treatments1 = [1, 3, 1, 2, 3];
+  const treatments2 = [2, 1, 2, 3, 2];
+  const effects = [8 - 10, 10.5 - 7, 7 - 10.5, 10.5 - 10.5, 10 - 11];
+  const armSE = (sd, n) => Math.pow(sd, 2) / n;
+  const standardErrors = [
+    Math.sqrt(armSE(4.923423, 63) + armSE(3.867062, 45)),
+    Math.sqrt(armSE(6.664182, 53) + armSE(3.250787, 35)),
+    Math.sqrt(armSE(3.250787, 35) + armSE(6.349051, 44)),
+    Math.sqrt(armSE(6.349051, 44) + armSE(6.664182, 53)),
+    Math.sqrt(armSE(4.324474, 75) + armSE(4.301156, 29)),
+  ];
+
+  const armStudies = ['A', 'A', 'B', 'B', 'B', 'C', 'C'];
+  const trts = [1, 2, 1, 2, 3, 3, 2];
+  const means = [8, 10, 7, 10.5, 10.5, 10, 11];
+  const sds = [4.923423, 3.867062, 3.250787, 6.349051, 6.664182, 4.324474, 4.301156];
+  const ns = [63, 45, 35, 44, 53, 75, 29];
+
+  it('should match an arm-level NMA on the same data', function () {
+    [false, true].forEach((randomEffects) => {
+      const armNMA = meanDifferenceNMA(armStudies, trts, means, sds, ns, randomEffects);
+      const nma = contrastNMA(studies, treatments1, treatments2, effects, standardErrors, ComparisonStatistic.MD,
+        randomEffects);
+
+      [[1, 2], [1, 3], [3, 2]].forEach(([a, b]) => {
+        assert.ok(Math.abs(nma.getEffect(a, b) - armNMA.getEffect(a, b)) < 1e-10);
+        const stats = nma.computeInferentialStatistics(a, b, .95);
+        const armStats = armNMA.computeInferentialStatistics(a, b, .95);
+        assert.ok(Math.abs(stats.lower - armStats.lower) < 1e-10);
+        assert.ok(Math.abs(stats.upper - armStats.upper) < 1e-10);
+      });
+      assert.deepStrictEqual(nma.computeISquared(), armNMA.computeISquared());
+    });
+  });
+
+  it('should produce study level effects from the supplied contrasts', function () {
+    const nma = contrastNMA(studies, treatments1, treatments2, effects, standardErrors, ComparisonStatistic.MD);
+    const effectsB = nma.computeStudyLevelEffects(1).filter(({ study }) => study === 'B');
+    assert.deepStrictEqual(effectsB.map(({ treatment2, effect }) => [treatment2, effect]), [[2, -3.5], [3, -3.5]]);
+  });
+
+  it('should back-transform effects by the comparison statistic', function () {
+    const nma = contrastNMA([1], ['A'], ['B'], [Math.log(2)], [.2], ComparisonStatistic.OR, false);
+    assert.ok(Math.abs(nma.getEffect('A', 'B') - 2) < 1e-10);
+    assert.ok(Math.abs(nma.getEffect('B', 'A') - .5) < 1e-10);
+  });
+
+  it('should not produce a model for incomplete multi-arm studies', function () {
+    assert.throws(() => contrastNMA(studies.slice(0, 3), treatments1.slice(0, 3), treatments2.slice(0, 3),
+      effects.slice(0, 3), standardErrors.slice(0, 3), ComparisonStatistic.MD),
+      {
+        message: 'For study \'B\', 2 contrasts were supplied between 3 treatments; all 3 pairwise contrasts are required.',
+      });
+    assert.throws(() => contrastNMA(['A', 'A', 'A'], [1, 1, 2], [2, 3, 1], [1, 1, 1], [1, 1, 1],
+      ComparisonStatistic.MD),
+      {
+        message: 'For study \'A\', the contrast between 2 and 3 is missing.',
+      });
+  });
+
+  it('should not produce a model for invalid inputs', function () {
+    assert.throws(() => contrastNMA(studies, treatments1, treatments2, effects, standardErrors),
+      {
+        message: 'A comparisonStatistic from `ComparisonStatistic` must be supplied',
+      });
+    assert.throws(() => contrastNMA([1], ['A'], ['A'], [1], [1], ComparisonStatistic.MD));
+    assert.throws(() => contrastNMA([1], ['A'], ['B'], [1], [0], ComparisonStatistic.MD));
+    assert.throws(() => contrastNMA([1, 2], ['A'], ['B'], [1], [1], ComparisonStatistic.MD));
+    assert.throws(() => contrastNMA([], [], [], [], [], ComparisonStatistic.MD),
+      {
+        message: 'Must have 1 or more studies to perform an NMA',
+      });
+  });
+});
+
+describe('Hazard Ratio NMA', function () {
+  // a faux network of survival outcomes: A-B, A-C, B-C
+  const studies = ['S1', 'S2', 'S3', 'S4'];
+  const treatments1 = ['A', 'A', 'B', 'A'];
+  const treatments2 = ['B', 'C', 'C', 'B'];
+  const hazardRatios = [0.75, 0.6, 0.85, 0.7];
+  const lower = [0.6, 0.45, 0.7, 0.5];
+  const upper = [0.94, 0.8, 1.03, 0.98];
+
+  it('should derive standard errors from confidence intervals', function () {
+    const nma = hazardRatioNMA(['S1'], ['A'], ['B'], { hazardRatios: [0.75], lower: [0.6], upper: [0.94] }, false);
+    assert.ok(Math.abs(nma.getEffect('A', 'B') - 0.75) < 1e-10);
+    assert.ok(Math.abs(nma.getEffect('B', 'A') - 1 / 0.75) < 1e-10);
+    const stats = nma.computeInferentialStatistics('A', 'B', .95);
+    // the reported CI need not be symmetric on the log scale, so the SE is derived from its total width
+    const se = (Math.log(0.94) - Math.log(0.6)) / (2 * 1.959964);
+    assert.ok(Math.abs(stats.lower - Math.exp(Math.log(0.75) - 1.959964 * se)) < 1e-5);
+    assert.ok(Math.abs(stats.upper - Math.exp(Math.log(0.75) + 1.959964 * se)) < 1e-5);
+  });
+
+  it('should accept log hazard ratios and standard errors', function () {
+    const logHazardRatios = hazardRatios.map((hr) => Math.log(hr));
+    const standardErrors = lower.map((l, ix) => (Math.log(upper[ix]) - Math.log(l)) / (2 * 1.959964));
+
+    const ciNMA = hazardRatioNMA(studies, treatments1, treatments2, { hazardRatios, lower, upper });
+    const seNMA = hazardRatioNMA(studies, treatments1, treatments2, { logHazardRatios, standardErrors });
+    // rows may also mix the two forms
+    const mixedNMA = hazardRatioNMA(studies, treatments1, treatments2, {
+      logHazardRatios: [logHazardRatios[0], undefined, logHazardRatios[2], undefined],
+      standardErrors: [standardErrors[0], standardErrors[1], undefined, undefined],
+      hazardRatios,
+      lower,
+      upper,
+    });
+
+    [[ciNMA, seNMA], [ciNMA, mixedNMA]].forEach(([a, b]) => {
+      assert.ok(Math.abs(a.getEffect('A', 'C') - b.getEffect('A', 'C')) < 1e-5);
+      assert.ok(Math.abs(a.computeInferentialStatistics('B', 'C', .95).p -
+        b.computeInferentialStatistics('B', 'C', .95).p) < 1e-5);
+    });
+  });
+
+  it('should support all reporting methods', function () {
+    const nma = hazardRatioNMA(studies, treatments1, treatments2, { hazardRatios, lower, upper }, false);
+    assert.ok(nma.getEffect('A', 'C') < 1);
+    assert.deepStrictEqual(nma.computePScores(true).map(({ treatment }) => treatment), ['A', 'B', 'C']);
+    assert.deepStrictEqual(nma.computeStudyLevelEffects('A').length, 3);
+    const { effects, leftFunnel } = nma.computeComparisonAdjustedEffects('A');
+    assert.deepStrictEqual(effects.length, 3);
+    assert.deepStrictEqual(leftFunnel[0], [1, 0]);
+    assert.ok(nma.computeISquared().i2 >= 0);
+  });
+
+  it('should not produce a model for missing effects or standard errors', function () {
+    assert.throws(() => hazardRatioNMA(['S1'], ['A'], ['B'], { hazardRatios: [0.75], lower: [0.6] }),
+      {
+        message: 'At row 0, a standard error or valid confidence interval (0 < lower < upper) is required',
+      });
+    assert.throws(() => hazardRatioNMA(['S1'], ['A'], ['B'], { hazardRatios: [-1], standardErrors: [0.1] }),
+      {
+        message: 'At row 0, a log hazard ratio or positive hazard ratio is required',
+      });
+    assert.throws(() => hazardRatioNMA(['S1'], ['A'], ['B'], { hazardRatios: [0.75, 0.6], standardErrors: [0.1] }),
+      {
+        message: 'Studies (n=1) and hazardRatios (n=2) do not have the same length, as required.',
+      });
+    assert.throws(() => hazardRatioNMA(['S1'], ['A'], ['B']),
+      {
+        message: 'At row 0, a log hazard ratio or positive hazard ratio is required',
+      });
+    assert.throws(() => hazardRatioNMA(['S1'], ['A'], ['B'], { hazardRatios: [0.75], lower: [0.6], upper: [0.9], width: 95 }),
+      {
+        message: 'Value width not in range 0 to 1',
+      });
+  });
+});
+
+describe('Incidence Rate Ratio NMA', function () {
+  // a faux network of adverse event counts: A-B, A-B-C, B-C, with a zero event arm in study 3
+  const studies = [1, 1, 2, 2, 2, 3, 3];
+  const treatments = ['A', 'B', 'A', 'B', 'C', 'B', 'C'];
+  const events = [12, 20, 8, 15, 11, 0, 6];
+  const personTime = [250.5, 240, 100, 120.25, 98, 60, 75];
+
+  /* verify with R code:
+    library(meta)
+    m <- metainc(12, 250.5, 20, 240, sm='IRR')
+    c(exp(m$TE), m$seTE)
+   */
+  it('should produce direct effects for a single study', function () {
+    const nma = incidenceRateRatioNMA([1, 1], ['A', 'B'], [12, 20], [250.5, 240], false);
+    const logIRR = Math.log((12 / 250.5) / (20 / 240));
+    const se = Math.sqrt(1 / 12 + 1 / 20);
+    assert.ok(Math.abs(nma.getEffect('A', 'B') - Math.exp(logIRR)) < 1e-10);
+    const stats = nma.computeInferentialStatistics('A', 'B', .95);
+    assert.ok(Math.abs(stats.lower - Math.exp(logIRR - 1.959964 * se)) < 1e-5);
+    assert.ok(Math.abs(stats.upper - Math.exp(logIRR + 1.959964 * se)) < 1e-5);
+  });
+
+  it('should apply a continuity correction to studies with zero events', function () {
+    const nma = incidenceRateRatioNMA(studies, treatments, events, personTime, false);
+    const effectsB = nma.computeStudyLevelEffects('B').filter(({ study }) => study === 3);
+    assert.deepStrictEqual(effectsB.length, 1);
+    assert.ok(Math.abs(effectsB[0].effect - (0.5 / 60) / (6.5 / 75)) < 1e-10);
+    // other studies are not corrected
+    const effects1 = nma.computeStudyLevelEffects('A').filter(({ study }) => study === 1);
+    assert.ok(Math.abs(effects1[0].effect - (12 / 250.5) / (20 / 240)) < 1e-10);
+  });
+
+  it('should produce consistent network estimates on the original scale', function () {
+    [false, true].forEach((randomEffects) => {
+      const nma = incidenceRateRatioNMA(studies, treatments, events, personTime, randomEffects);
+      assert.ok(Math.abs(nma.getEffect('A', 'B') * nma.getEffect('B', 'C') - nma.getEffect('A', 'C')) < 1e-10);
+      assert.ok(Math.abs(nma.getEffect('A', 'A') - 1) < 1e-10);
+      const stats = nma.computeInferentialStatistics('A', 'C', .95);
+      assert.ok(stats.lower > 0 && stats.lower < nma.getEffect('A', 'C') && stats.upper > nma.getEffect('A', 'C'));
+    });
+  });
+
+  it('should not produce a model for invalid inputs', function () {
+    assert.throws(() => incidenceRateRatioNMA([1, 1], ['A', 'B'], [1, -1], [10, 10]),
+      {
+        message: 'At row 1, event count (-1) is negative',
+      });
+    assert.throws(() => incidenceRateRatioNMA([1, 1], ['A', 'B'], [1, 1], [10, 0]),
+      {
+        message: 'At row 1, person-time (0) is not positive',
+      });
+    assert.throws(() => incidenceRateRatioNMA([1, 1], ['A', 'A'], [1, 1], [10, 10]));
+    assert.throws(() => incidenceRateRatioNMA([1, 1], ['A', 'B'], [1, 1], [10]));
+  });
+});
+
+describe('Node splitting', function () {
+  // a triangle of 2-arm studies, where the direct and indirect evidence on A vs. B disagree
+  const studies = [1, 2, 3, 4];
+  const treatments1 = ['A', 'A', 'A', 'B'];
+  const treatments2 = ['B', 'B', 'C', 'C'];
+  const effects = [1.5, 2, 1, 0.5];
+  const standardErrors = [0.5, 0.4, 0.3, 0.35];
+
+  it('should split fixed effects estimates into direct & Bucher indirect evidence', function () {
+    const nma = contrastNMA(studies, treatments1, treatments2, effects, standardErrors, ComparisonStatistic.MD, false);
+    const split = nma.computeNodeSplit('A', 'B');
+
+    const w = [1 / Math.pow(0.5, 2), 1 / Math.pow(0.4, 2)];
+    const direct = (w[0] * 1.5 + w[1] * 2) / (w[0] + w[1]);
+    const directVar = 1 / (w[0] + w[1]);
+    // the indirect evidence on A vs. B runs through C
+    const indirect = 1 - 0.5;
+    const indirectVar = Math.pow(0.3, 2) + Math.pow(0.35, 2);
+
+    assert.deepStrictEqual(split.treatment1, 'A');
+    assert.deepStrictEqual(split.treatment2, 'B');
+    assert.ok(Math.abs(split.direct.effect - direct) < 1e-10);
+    assert.ok(Math.abs(split.indirect.effect - indirect) < 1e-10);
+    assert.ok(Math.abs(split.network.effect - nma.getEffect('A', 'B')) < 1e-10);
+    assert.ok(Math.abs(split.directProportion - indirectVar / (directVar + indirectVar)) < 1e-10);
+    assert.ok(Math.abs(split.difference.effect - (direct - indirect)) < 1e-10);
+
+    const z = (direct - indirect) / Math.sqrt(directVar + indirectVar);
+    assert.ok(Math.abs(split.difference.p - 2 * (1 - STD_NORMAL.cdf(Math.abs(z)))) < 1e-10);
+    assert.ok(split.difference.p < .05);
+    assert.ok(Math.abs(split.indirect.lower - (indirect - 1.959964 * Math.sqrt(indirectVar))) < 1e-5);
+  });
+
+  it('should orient splits by the requested treatments', function () {
+    const nma = contrastNMA(studies, treatments1, treatments2, effects, standardErrors, ComparisonStatistic.OR, true);
+    const ab = nma.computeNodeSplit('A', 'B');
+    const ba = nma.computeNodeSplit('B', 'A');
+    assert.ok(Math.abs(ab.direct.effect * ba.direct.effect - 1) < 1e-10);
+    assert.ok(Math.abs(ab.indirect.effect * ba.indirect.effect - 1) < 1e-10);
+    assert.ok(Math.abs(ab.difference.p - ba.difference.p) < 1e-10);
+    assert.ok(Math.abs(ab.network.effect - nma.getEffect('A', 'B')) < 1e-10);
+  });
+
+  it('should split all direct comparisons', function () {
+    const nma = contrastNMA(studies, treatments1, treatments2, effects, standardErrors, ComparisonStatistic.MD);
+    const splits = nma.computeNodeSplits();
+    assert.deepStrictEqual(splits.map(({ treatment1, treatment2 }) => [treatment1, treatment2]),
+      [['A', 'B'], ['A', 'C'], ['B', 'C']]);
+    // in a single loop, every comparison has the same inconsistency
+    splits.forEach(({ difference }) => {
+      assert.ok(Math.abs(difference.p - splits[0].difference.p) < 1e-8);
+    });
+  });
+
+  it('should not split comparisons without indirect or direct evidence', function () {
+    const nma = contrastNMA([1, 2], ['A', 'B'], ['B', 'C'], [1, 2], [.5, .5], ComparisonStatistic.MD, false);
+    const split = nma.computeNodeSplit('A', 'B');
+    assert.ok(Math.abs(split.direct.effect - 1) < 1e-10);
+    assert.deepStrictEqual(split.indirect, undefined);
+    assert.deepStrictEqual(split.difference, undefined);
+    assert.deepStrictEqual(nma.computeNodeSplit('A', 'C'), undefined);
+    assert.throws(() => nma.computeNodeSplit('A', 'D'));
+  });
+
+  it('should split networks with multi-arm studies', function () {
+    const nma = meanDifferenceNMA(['A', 'A', 'B', 'B', 'B', 'C', 'C'], [1, 2, 1, 2, 3, 3, 2],
+      [8, 10, 7, 10.5, 10.5, 10, 11], [4.923423, 3.867062, 3.250787, 6.349051, 6.664182, 4.324474, 4.301156],
+      [63, 45, 35, 44, 53, 75, 29], false);
+    const splits = nma.computeNodeSplits();
+    assert.deepStrictEqual(splits.length, 3);
+    splits.forEach((split) => {
+      assert.ok(split.directProportion > 0 && split.directProportion <= 1);
+      assert.ok(!Number.isNaN(split.direct.effect));
+    });
+  });
+});
+
+describe('Design-by-treatment Q decomposition', function () {
+  // a triangle of 2-arm studies, with replication of the A-B design
+  const studies = [1, 2, 3, 4];
+  const treatments1 = ['A', 'A', 'A', 'B'];
+  const treatments2 = ['B', 'B', 'C', 'C'];
+  const effects = [1.5, 2, 1, 0.5];
+  const standardErrors = [0.5, 0.4, 0.3, 0.35];
+
+  it('should decompose Q into within and between design components', function () {
+    const nma = contrastNMA(studies, treatments1, treatments2, effects, standardErrors, ComparisonStatistic.MD, false);
+    const decomposition = nma.computeQDecomposition();
+
+    // cochran's Q on the 2 A-B studies
+    const w = [1 / Math.pow(0.5, 2), 1 / Math.pow(0.4, 2)];
+    const pooled = (w[0] * 1.5 + w[1] * 2) / (w[0] + w[1]);
+    const qAB = w[0] * Math.pow(1.5 - pooled, 2) + w[1] * Math.pow(2 - pooled, 2);
+    assert.ok(Math.abs(decomposition.qHeterogeneity - qAB) < 1e-10);
+    assert.deepStrictEqual(decomposition.dfHeterogeneity, 1);
+    assert.deepStrictEqual(decomposition.dfTotal, 2);
+    assert.deepStrictEqual(decomposition.dfInconsistency, 1);
+    assert.ok(Math.abs(decomposition.qTotal - decomposition.qHeterogeneity - decomposition.qInconsistency) < 1e-10);
+
+    // in a single loop, inconsistency between designs is the squared z-statistic of the direct vs. indirect difference
+    const direct = pooled;
+    const indirect = 1 - 0.5;
+    const z2 = Math.pow(direct - indirect, 2) / (1 / (w[0] + w[1]) + Math.pow(0.3, 2) + Math.pow(0.35, 2));
+    assert.ok(Math.abs(decomposition.qInconsistency - z2) < 1e-10);
+    assert.ok(Math.abs(decomposition.pInconsistency - nma.computeNodeSplit('A', 'B').difference.p) < 1e-8);
+
+    assert.deepStrictEqual(decomposition.designs.map(({ treatments, studies, df }) => [treatments, studies, df]), [
+      [['A', 'B'], [1, 2], 1],
+      [['A', 'C'], [3], 0],
+      [['B', 'C'], [4], 0],
+    ]);
+    assert.deepStrictEqual(decomposition.designs[1].p, undefined);
+  });
+
+  it('should treat multi-arm studies as their own design', function () {
+    const treatment = ['A', 'B', 'C', 'A', 'B', 'C', 'A', 'B', 'A', 'B', 'B', 'C'];
+    const positive = [10, 15, 20, 8, 12, 14, 5, 9, 11, 16, 7, 9];
+    const total = [100, 100, 100, 80, 80, 80, 60, 60, 90, 90, 70, 70];
+    const study = [1, 1, 1, 2, 2, 2, 3, 3, 4, 4, 5, 5];
+    const nma = oddsRatioNMA(study, treatment, positive, total, false);
+    const decomposition = nma.computeQDecomposition();
+
+    assert.deepStrictEqual(decomposition.designs.map(({ treatments, studies, df }) => [treatments, studies, df]), [
+      [['A', 'B', 'C'], [1, 2], 2],
+      [['A', 'B'], [3, 4], 1],
+      [['B', 'C'], [5], 0],
+    ]);
+    // 2 * 2 + 2 + 1 contrasts, less 2 basic parameters
+    assert.deepStrictEqual(decomposition.dfTotal, 5);
+    assert.deepStrictEqual(decomposition.dfHeterogeneity, 3);
+    assert.deepStrictEqual(decomposition.dfInconsistency, 2);
+    assert.ok(decomposition.pHeterogeneity > 0 && decomposition.pHeterogeneity < 1);
+    assert.ok(Math.abs(decomposition.qTotal - decomposition.qHeterogeneity - decomposition.qInconsistency) < 1e-10);
+  });
+});
+
+describe('Contribution matrix', function () {
+  // a triangle of 2-arm studies
+  const studies = [1, 2, 3, 4];
+  const treatments1 = ['A', 'A', 'A', 'B'];
+  const treatments2 = ['B', 'B', 'C', 'C'];
+  const effects = [1.5, 2, 1, 0.5];
+  const standardErrors = [0.5, 0.4, 0.3, 0.35];
+
+  it('should attribute indirect evidence evenly along its path', function () {
+    const nma = contrastNMA(studies, treatments1, treatments2, effects, standardErrors, ComparisonStatistic.MD, false);
+    const { directComparisons, networkEstimates } = nma.computeContributionMatrix();
+    assert.deepStrictEqual(directComparisons, [['A', 'B'], ['A', 'C'], ['B', 'C']]);
+    assert.deepStrictEqual(networkEstimates.map(({ treatment1, treatment2 }) => [treatment1, treatment2]),
+      [['A', 'B'], ['A', 'C'], ['B', 'C']]);
+
+    // the direct comparison contributes its share of the network estimate's precision, the rest flows through C
+    const directShare = 100 * nma.computeNodeSplit('A', 'B').directProportion;
+    const ab = networkEstimates[0].contributions;
+    assert.ok(Math.abs(ab[0] - directShare) < 1e-8);
+    assert.ok(Math.abs(ab[1] - (100 - directShare) / 2) < 1e-8);
+    assert.ok(Math.abs(ab[2] - (100 - directShare) / 2) < 1e-8);
+
+    networkEstimates.forEach(({ contributions }) => {
+      assert.ok(Math.abs(contributions.reduce((a, b) => a + b, 0) - 100) < 1e-8);
+    });
+  });
+
+  it('should attribute all evidence to direct comparisons without loops', function () {
+    const nma = contrastNMA([1, 2, 3], ['A', 'B', 'A'], ['B', 'C', 'B'], [1, 2, 1.5], [.5, .5, .4],
+      ComparisonStatistic.MD);
+    const { directComparisons, networkEstimates } = nma.computeContributionMatrix();
+    assert.deepStrictEqual(directComparisons, [['A', 'B'], ['B', 'C']]);
+    assert.deepStrictEqual(networkEstimates.map(({ contributions }) => contributions.map((c) => Math.round(c))),
+      [[100, 0], [50, 50], [0, 100]]);
+  });
+
+  it('should only include estimates within connected components', function () {
+    const nma = meanDifferenceNMA(['A', 'A', 'B', 'B', 'C', 'C', 'D', 'D'], [1, 2, 1, 2, 3, 4, 3, 4],
+      [8, 10, 7, 10.5, 10.5, 10, 11, 10], [4.923423, 3.867062, 3.250787, 6.349051, 6.664182, 4.324474, 4.301156, 5],
+      [63, 45, 35, 44, 53, 75, 29, 100], false);
+    const { directComparisons, networkEstimates } = nma.computeContributionMatrix();
+    assert.deepStrictEqual(directComparisons, [[1, 2], [3, 4]]);
+    assert.deepStrictEqual(networkEstimates, [
+      { treatment1: 1, treatment2: 2, contributions: [100, 0] },
+      { treatment1: 3, treatment2: 4, contributions: [0, 100] },
+    ]);
+  });
+
+  it('should decompose multi-arm networks', function () {
+    const nma = meanDifferenceNMA(['A', 'A', 'B', 'B', 'B', 'C', 'C'], [1, 2, 1, 2, 3, 3, 2],
+      [8, 10, 7, 10.5, 10.5, 10, 11], [4.923423, 3.867062, 3.250787, 6.349051, 6.664182, 4.324474, 4.301156],
+      [63, 45, 35, 44, 53, 75, 29], true);
+    const { networkEstimates } = nma.computeContributionMatrix();
+    assert.deepStrictEqual(networkEstimates.length, 3);
+    networkEstimates.forEach(({ contributions }) => {
+      assert.ok(contributions.every((c) => c >= 0));
+      assert.ok(Math.abs(contributions.reduce((a, b) => a + b, 0) - 100) < 1e-8);
+    });
+  });
+});
+
+describe('Prediction intervals', function () {
+  // with only two treatments, the network reduces to a DerSimonian-Laird pairwise meta-analysis, so
+  // the prediction interval is effect +/- qt(.975, k - 1) * sqrt(se^2 + tau^2)
+  const studies = ['A', 'B', 'C', 'D', 'E'];
+  const effects = [-1.2, -.4, -2.1, .3, -.9];
+  const standardErrors = [.4, .3, .6, .5, .35];
+  const treatments1 = studies.map(() => 'X');
+  const treatments2 = studies.map(() => 'Y');
+
+  it('should compute prediction intervals for random effects models', function () {
+    const nma = contrastNMA(studies, treatments1, treatments2, effects, standardErrors, ComparisonStatistic.MD);
+    const stats = nma.computeInferentialStatistics('X', 'Y', .95);
+    const effect = nma.getEffect('X', 'Y');
+    const se = (stats.upper - stats.lower) / (2 * STD_NORMAL.ppf(.975));
+    const tau2 = computeTau2(effects, standardErrors);
+    assert.ok(tau2 > 0);
+    const halfWidth = studentTQuantile(.975, 4) * Math.sqrt(Math.pow(se, 2) + tau2);
+    assert.ok(Math.abs(stats.predictionLower - (effect - halfWidth)) < 1e-8);
+    assert.ok(Math.abs(stats.predictionUpper - (effect + halfWidth)) < 1e-8);
+
+    const reversed = nma.computeInferentialStatistics('Y', 'X', .95);
+    assert.ok(Math.abs(reversed.predictionLower + stats.predictionUpper) < 1e-8);
+  });
+
+  it('should expose the between study variance', function () {
+    const nma = contrastNMA(studies, treatments1, treatments2, effects, standardErrors, ComparisonStatistic.MD);
+    assert.ok(Math.abs(nma.getTau2('X', 'Y') - computeTau2(effects, standardErrors)) < 1e-10);
+    assert.strictEqual(nma.getTau2('Y', 'X'), nma.getTau2('X', 'Y'));
+    assert.throws(() => nma.getTau2('X', 'Z'), { message: 'Requesting NMA for non-present treatment(s): X, Z' });
+
+    const fixed = contrastNMA(studies, treatments1, treatments2, effects, standardErrors, ComparisonStatistic.MD, false);
+    assert.strictEqual(fixed.getTau2('X', 'Y'), undefined);
+  });
+
+  it('should transform prediction intervals to the original scale', function () {
+    const nma = contrastNMA(studies, treatments1, treatments2, effects, standardErrors, ComparisonStatistic.OR);
+    const mdNMA = contrastNMA(studies, treatments1, treatments2, effects, standardErrors, ComparisonStatistic.MD);
+    const stats = nma.computeInferentialStatistics('X', 'Y', .95);
+    const mdStats = mdNMA.computeInferentialStatistics('X', 'Y', .95);
+    assert.ok(Math.abs(stats.predictionLower - Math.exp(mdStats.predictionLower)) < 1e-8);
+    assert.ok(Math.abs(stats.predictionUpper - Math.exp(mdStats.predictionUpper)) < 1e-8);
+  });
+
+  it('should not compute prediction intervals for fixed effects models', function () {
+    const nma = contrastNMA(studies, treatments1, treatments2, effects, standardErrors, ComparisonStatistic.MD, false);
+    const stats = nma.computeInferentialStatistics('X', 'Y', .95);
+    assert.strictEqual(stats.predictionLower, undefined);
+    assert.strictEqual(stats.predictionUpper, undefined);
+  });
 });
 
 describe('NMA Errors for degenerate inputs', function () {
@@ -735,6 +1432,107 @@ describe('NMA on a near-singular effect SE adjustment', () => {
       p: 0,
       lower: 39.228611794776306,
       upper: 49.52582138243961,
+      predictionLower: 35.286214069935816,
+      predictionUpper: 53.4682191072801,
+    });
+  });
+});
+
+describe('Leave-one-out NMA', function () {
+  const studies = ['A', 'A', 'B', 'B', 'B', 'C', 'C'];
+  const trts = [1, 2, 1, 2, 3, 3, 2];
+  const means = [8, 10, 7, 10.5, 10.5, 10, 11];
+  const sds = [4.923423, 3.867062, 3.250787, 6.349051, 6.664182, 4.324474, 4.301156];
+  const ns = [63, 45, 35, 44, 53, 75, 29];
+
+  it('should fit the network without each study', function () {
+    const { nma, omissions } = leaveOneOutNMA(meanDifferenceNMA, studies, trts, [means, sds, ns]);
+    assert.deepStrictEqual(nma.getEffect(1, 3), meanDifferenceNMA(studies, trts, means, sds, ns).getEffect(1, 3));
+    assert.deepStrictEqual(omissions.map((o) => o.study), ['A', 'B', 'C']);
+
+    const withoutC = meanDifferenceNMA(studies.slice(0, 5), trts.slice(0, 5), means.slice(0, 5), sds.slice(0, 5),
+      ns.slice(0, 5));
+    const { comparisons, i2, i2Lower, i2Upper, disconnects } = omissions[2];
+    assert.strictEqual(disconnects, false);
+    const { i2: expectedI2, lower: expectedLower, upper: expectedUpper } = withoutC.computeISquared(.95);
+    assert.deepStrictEqual([i2, i2Lower, i2Upper], [expectedI2, expectedLower, expectedUpper]);
+    assert.ok(i2 > 0);
+    assert.deepStrictEqual(comparisons.map(({ treatment1, treatment2 }) => [treatment1, treatment2]),
+      [[1, 2], [1, 3], [2, 3]]);
+    const { p, lower, upper } = withoutC.computeInferentialStatistics(1, 3, .95);
+    assert.deepStrictEqual(comparisons[1], {
+      treatment1: 1,
+      treatment2: 3,
+      effect: withoutC.getEffect(1, 3),
+      p,
+      lower,
+      upper,
+      tau2: withoutC.getTau2(1, 3),
+      changesSignificance: false,
+    });
+    assert.ok(comparisons[1].tau2 > 0);
+  });
+
+  it('should flag omissions that change significance', function () {
+    const { omissions } = leaveOneOutNMA(meanDifferenceNMA, studies, trts, [means, sds, ns], false);
+    // without B, 1 & 3 are only compared indirectly, with no degrees of freedom for heterogeneity
+    const { comparisons, i2, i2Lower, i2Upper } = omissions[1];
+    assert.deepStrictEqual([i2, i2Lower, i2Upper], [undefined, undefined, undefined]);
+    assert.ok(Math.abs(comparisons[0].effect + 2) < 1e-10);
+    assert.ok(comparisons[1].p > .05);
+    assert.strictEqual(comparisons[1].changesSignificance, true);
+    assert.strictEqual(comparisons[1].tau2, undefined);
+  });
+
+  it('should flag omissions that disconnect the network', function () {
+    const positive = [5, 10, 10, 15, 8, 12, 6, 11];
+    const total = [50, 50, 50, 50, 50, 50, 50, 50];
+    const { omissions } = leaveOneOutNMA(oddsRatioNMA, ['A', 'A', 'B', 'B', 'C', 'C', 'D', 'D'],
+      [1, 2, 2, 3, 3, 4, 1, 2], [positive, total]);
+    assert.deepStrictEqual(omissions.map((o) => o.disconnects), [false, true, false, false]);
+    assert.deepStrictEqual(omissions.map((o) => o.droppedTreatments), [[], [], [4], []]);
+    // only comparisons within components remain estimable
+    assert.deepStrictEqual(omissions[1].comparisons.map(({ treatment1, treatment2 }) => [treatment1, treatment2]),
+      [[1, 2], [3, 4]]);
+    // treatments only compared in the omitted study are dropped
+    assert.strictEqual(omissions[2].comparisons.length, 3);
+    omissions[0].comparisons.forEach(({ effect, tau2 }) => {
+      assert.ok(!Number.isNaN(effect));
+      assert.strictEqual(tau2, 0);
     });
   });
-});
\ No newline at end of file
+
+  it('should omit per-arm summaries along with studies', function () {
+    // the mean & sd of the first arm of C are estimated from its median & quartiles
+    const missing = (arr) => arr.map((x, ix) => ix === 5 ? undefined : x);
+    const summaries = { median: [], q1: [], q3: [] };
+    summaries.median[5] = 10;
+    summaries.q1[5] = 7;
+    summaries.q3[5] = 13;
+    const { omissions } = leaveOneOutNMA(meanDifferenceNMA, studies, trts, [missing(means), missing(sds), ns], true,
+      .95, { summaries });
+    const ixs = [2, 3, 4, 5, 6];
+    const withoutA = meanDifferenceNMA(ixs.map((ix) => studies[ix]), ixs.map((ix) => trts[ix]),
+      ixs.map((ix) => missing(means)[ix]), ixs.map((ix) => missing(sds)[ix]), ixs.map((ix) => ns[ix]), true,
+      { summaries: subsetSummaries(summaries, ixs) });
+    assert.deepStrictEqual(omissions[0].comparisons.map(({ effect }) => effect),
+      [withoutA.getEffect(1, 2), withoutA.getEffect(1, 3), withoutA.getEffect(2, 3)]);
+  });
+
+  it('should flag omissions that drop the end of a chain', function () {
+    // A - B - C, with A only compared in the first study
+    const { omissions } = leaveOneOutNMA(oddsRatioNMA, [1, 1, 2, 2, 3, 3], ['A', 'B', 'B', 'C', 'B', 'C'],
+      [[5, 10, 10, 15, 8, 12], [50, 50, 50, 50, 50, 50]]);
+    assert.deepStrictEqual(omissions.map((o) => o.disconnects), [false, false, false]);
+    assert.deepStrictEqual(omissions.map((o) => o.droppedTreatments), [['A'], [], []]);
+    assert.deepStrictEqual(omissions[0].comparisons.map(({ treatment1, treatment2 }) => [treatment1, treatment2]),
+      [['B', 'C']]);
+  });
+
+  it('should reject invalid leave-one-out analyses', function () {
+    assert.throws(() => leaveOneOutNMA(standardizedMeanDifferenceNMA, studies, trts, [means, sds, ns]),
+      { message: 'Leave-one-out analysis is available for oddsRatioNMA, riskRatioNMA, riskDifferenceNMA, incidenceRateRatioNMA & meanDifferenceNMA' });
+    assert.throws(() => leaveOneOutNMA(oddsRatioNMA, ['A', 'A'], [1, 2], [[1, 2], [10, 10]]),
+      { message: 'Leave-one-out analysis requires at least 2 studies; got 1' });
+  });
+});
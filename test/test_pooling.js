@@ -1,5 +1,7 @@
 const assert = require('assert');
-const {pooledMedian, pooledMean, pooledRate, arithmeticPooledMean} = require('../src/pooling');
+const {pooledMedian, pooledMean, pooledRate, arithmeticPooledMean, computeTau2, pairwiseBinary,
+  pairwiseContinuous, metaRegression, subgroupAnalysis, computeHeterogeneity, leaveOneOut} = require('../src/pooling');
+const { estimateMean, estimateSD } = require('../src/conversion');
 
 function within(real, expected, epsilon=.01) {
   if ((isNaN(real) && !isNaN(expected)) || (!isNaN(real) && isNaN(expected))) {
@@ -88,6 +90,40 @@ describe('Random effects mean pooling', function () {
     assert.ok(within(feu, 10.2714));
   });
 
+  it('should impute missing sds by the chosen method', function () {
+    const means = [10, 15, 20, 12];
+    const sds = [1, undefined, 2.4, 3];
+    const ns = [1000, 50, 75, 21];
+    const { studyEstimates } = pooledMean(ns, means, sds);
+    assert.ok(within(studyEstimates[1].imputedSD, 6.4 / 3, 1e-10));
+    assert.strictEqual(studyEstimates[0].imputedSD, undefined);
+    assert.ok(!('imputedSD' in studyEstimates[2]));
+
+    // sqrt((999 * 1 + 74 * 2.4^2 + 20 * 3^2) / (999 + 74 + 20))
+    const pooled = pooledMean(ns, means, sds, true, .95, { imputeSD: 'pooled' });
+    assert.ok(within(pooled.studyEstimates[1].imputedSD, Math.sqrt(1605.24 / 1093), 1e-10));
+    const quantile = pooledMean(ns, means, sds, true, .95, { imputeSD: 'quantile', imputeQuantile: .5 });
+    assert.strictEqual(quantile.studyEstimates[1].imputedSD, 2.4);
+    const max = pooledMean(ns, means, sds, true, .95, { imputeSD: 'max' });
+    assert.strictEqual(max.studyEstimates[1].imputedSD, 3);
+    const supplied = pooledMean(ns, means, sds, true, .95, { imputeSD: 5 });
+    assert.strictEqual(supplied.studyEstimates[1].imputedSD, 5);
+    assert.deepStrictEqual(supplied, { ...pooledMean(ns, means, [1, 5, 2.4, 3]),
+      studyEstimates: supplied.studyEstimates });
+
+    // a supplied value doesn't require any observed sds
+    const { studyEstimates: allImputed } = pooledMean([10, 20], [1, 2], [null, null], true, .95, { imputeSD: 2 });
+    assert.deepStrictEqual(allImputed.map((s) => s.imputedSD), [2, 2]);
+    assert.throws(() => pooledMean([10, 20], [1, 2], [null, null]),
+      {
+        message: 'Insufficient data for imputing missing SDs'
+      });
+    assert.throws(() => pooledMean(ns, means, sds, true, .95, { imputeSD: 'median' }),
+      {
+        message: "Unrecognized SD imputation method 'median'; expected a number or one of mean, pooled, quantile, max"
+      });
+  });
+
   /*
    library(meta)
    means <- c(10, -5, 20)
@@ -146,6 +182,32 @@ describe('Random effects mean pooling', function () {
       });
   });
 
+  it('should estimate missing means & sds from medians, quartiles and ranges', function() {
+    const ns = [50, 40, 60];
+    const summaries = {
+      median: [undefined, 7, 8],
+      q1: [undefined, 5, 6],
+      q3: [undefined, 10, 11],
+      min: [undefined, undefined, 1],
+      max: [undefined, undefined, 19],
+    };
+    const converted = pooledMean(ns, [9, null, null], [3, null, null], true, .95, { summaries });
+    const expected = pooledMean(ns, [9, estimateMean(40, { q1: 5, median: 7, q3: 10 }),
+      estimateMean(60, { min: 1, q1: 6, median: 8, q3: 11, max: 19 })],
+      [3, estimateSD(40, { q1: 5, median: 7, q3: 10 }), estimateSD(60, { min: 1, q1: 6, median: 8, q3: 11, max: 19 })]);
+    assert.deepStrictEqual(converted, expected);
+
+    const wan = pooledMean(ns, [9, null, null], [3, null, null], true, .95,
+      { summaries: { ...summaries, methodMean: 'Wan' } });
+    assert.ok(within(wan.studyEstimates[1].estimate, 22 / 3, 1e-10));
+
+    // means can't be imputed
+    assert.throws(() => pooledMean(ns, [9, null, null], [3, null, null], true, .95, { summaries: { q1: [], q3: [] } }),
+      {
+        message: 'Element at index 1 is missing in mean'
+      });
+  });
+
   it('should throw on negative sd', function() {
     assert.throws(() => pooledMean([10, 20], [95, 100], [-1, 5]),
       {
@@ -166,6 +228,107 @@ describe('Random effects mean pooling', function () {
         message: 'Value width not in range 0 to 1'
       });
   });
+
+  /*
+   the Hedges estimator is the variance of the means less the average sampling variance, so is verifiable by hand:
+   var(c(10, 15, 20)) - mean(c(1, 4, 2.4^2) / c(1000, 50, 75)) = 24.9474
+  */
+  it('should pool with an alternative tau^2 estimator', function() {
+    const means = [10, 15, 20];
+    const sds = [1, 2, 2.4];
+    const ns = [1000, 50, 75];
+    const { tau2: dlTau2 } = pooledMean(ns, means, sds);
+    assert.ok(within(dlTau2, 31.4715));
+
+    const { estimate, lower, upper, tau2 } = pooledMean(ns, means, sds, true, .95, { tauMethod: 'HE' });
+    assert.ok(within(tau2, 24.9474, .0001));
+    const w = means.map((_, ix) => 1 / (Math.pow(sds[ix], 2) / ns[ix] + tau2));
+    const expected = means.reduce((acc, m, ix) => acc + w[ix] * m, 0) / w.reduce((a, b) => a + b);
+    const se = Math.sqrt(1 / w.reduce((a, b) => a + b));
+    assert.ok(within(estimate, expected, .0001));
+    assert.ok(within(lower, expected - 1.959964 * se, .0001));
+    assert.ok(within(upper, expected + 1.959964 * se, .0001));
+
+    // fixed effects pooling still reports the chosen estimator
+    const { tau2: feTau2 } = pooledMean(ns, means, sds, false, .95, { tauMethod: 'HE' });
+    assert.ok(within(feTau2, 24.9474, .0001));
+  });
+
+  /*
+   the HKSJ variance scales the random effects variance by sum(w * (mean - pooled)^2) / (k - 1), here 0.7940,
+   and uses qt(.975, 2) = 4.302653. replicate in r with:
+   library(meta)
+   metamean(ns, means, sds, method.random.ci='HK')
+  */
+  it('should compute HKSJ confidence intervals', function() {
+    const means = [10, 15, 20];
+    const sds = [1, 2, 2.4];
+    const ns = [1000, 50, 75];
+    const { estimate, lower, upper } = pooledMean(ns, means, sds, true, .95, { hksj: true });
+    const { estimate: zEstimate, lower: zLower } = pooledMean(ns, means, sds);
+    assert.strictEqual(estimate, zEstimate);
+
+    const seTE = (zEstimate - zLower) / 1.959964;
+    const halfWidth = 4.302653 * Math.sqrt(.7940) * seTE;
+    assert.ok(within(lower, estimate - halfWidth));
+    assert.ok(within(upper, estimate + halfWidth));
+    assert.ok(within(lower, 2.5726));
+    assert.ok(within(upper, 27.4194));
+
+    // fixed effects are unaffected
+    const fe = pooledMean(ns, means, sds, false, .95, { hksj: true });
+    const feZ = pooledMean(ns, means, sds, false);
+    assert.strictEqual(fe.lower, feZ.lower);
+    assert.strictEqual(fe.upper, feZ.upper);
+  });
+
+  it('should report heterogeneity statistics', function() {
+    const means = [10, 15, 20];
+    const sds = [1, 2, 2.4];
+    const ns = [1000, 50, 75];
+    const { q, dfQ, pQ, tau2, tau, h, i2, i2Lower, i2Upper } = pooledMean(ns, means, sds);
+    const w = means.map((_, ix) => ns[ix] / Math.pow(sds[ix], 2));
+    const feMean = means.reduce((acc, m, ix) => acc + w[ix] * m, 0) / w.reduce((a, b) => a + b);
+    const expectedQ = means.reduce((acc, m, ix) => acc + w[ix] * Math.pow(m - feMean, 2), 0);
+    assert.ok(within(q, expectedQ, 1e-8));
+    assert.ok(within(q, 1578.371, .001));
+    assert.strictEqual(dfQ, 2);
+    assert.ok(within(pQ, 0, 1e-10));
+    assert.ok(within(tau2, 31.4715));
+    assert.ok(within(tau, 5.6099));
+    assert.ok(within(h, 28.0924));
+    assert.ok(within(i2, .9987, .0001));
+    assert.ok(within(i2Lower, .9984, .0001));
+    assert.ok(within(i2Upper, .9990, .0001));
+  });
+
+  it('should compute prediction intervals for random effects', function() {
+    const means = [10, 15, 20];
+    const sds = [1, 2, 2.4];
+    const ns = [1000, 50, 75];
+    const { estimate, lower, predictionLower, predictionUpper, tau2 } = pooledMean(ns, means, sds);
+    // qt(.975, 1) = 12.7062
+    const seTE = (estimate - lower) / 1.959964;
+    const halfWidth = 12.7062 * Math.sqrt(Math.pow(seTE, 2) + tau2);
+    assert.ok(within(predictionLower, estimate - halfWidth));
+    assert.ok(within(predictionUpper, estimate + halfWidth));
+    assert.ok(within(predictionLower, -67.3295));
+    assert.ok(within(predictionUpper, 97.3215));
+
+    // there are no prediction intervals for fixed effects, or without enough studies
+    const fe = pooledMean(ns, means, sds, false);
+    assert.strictEqual(fe.predictionLower, undefined);
+    const two = pooledMean(ns.slice(0, 2), means.slice(0, 2), sds.slice(0, 2));
+    assert.strictEqual(two.predictionLower, undefined);
+    assert.strictEqual(two.predictionUpper, undefined);
+  });
+
+  it('should throw on an unrecognized tau^2 estimator', function() {
+    assert.throws(() => pooledMean([10, 20], [95, 100], [1, 5], true, .95, { tauMethod: 'ML' }),
+      {
+        message: "Unrecognized tauMethod 'ML'; expected one of DL, REML, PM, SJ, HE"
+      });
+  });
 });
 
 describe('Arithmetic mean pooling', function () {
@@ -219,15 +382,13 @@ describe('Random effects rate pooling', function () {
     assert.ok(within(upper, .27));
 
     assert.strictEqual(studyEstimates.length, 7);
-    // note that since we are using a normal approximation over a beta, our CIs will be shifted left a bit more than is proper
-    // I believe that drives the ~1% differences in what `meta` is giving
     assert.ok(within(studyEstimates[0].estimate, .2));
-    assert.ok(within(studyEstimates[0].lower, .09));
-    assert.ok(within(studyEstimates[0].upper, .31));
+    assert.ok(within(studyEstimates[0].lower, .1003, .0001));
+    assert.ok(within(studyEstimates[0].upper, .3372, .0001));
 
     assert.ok(within(studyEstimates[6].estimate, .0625));
-    assert.ok(within(studyEstimates[6].lower, .0250));
-    assert.ok(within(studyEstimates[6].upper, .100));
+    assert.ok(within(studyEstimates[6].lower, .0304, .0001));
+    assert.ok(within(studyEstimates[6].upper, .1119, .0001));
 
     const { estimate: ef, lower: lf, upper: uf, studyEstimates: sef } = pooledRate(ns, events, false);
     assert.ok(within(ef, .2187));
@@ -236,8 +397,8 @@ describe('Random effects rate pooling', function () {
 
     assert.strictEqual(sef.length, 7);
     assert.ok(within(sef[0].estimate, .20));
-    assert.ok(within(sef[0].lower, .1003, .05));
-    assert.ok(within(sef[0].upper, .3371, .05));
+    assert.ok(within(sef[0].lower, .1003, .0001));
+    assert.ok(within(sef[0].upper, .3371, .0001));
   });
 
   /*
@@ -357,6 +518,751 @@ describe('Random effects rate pooling', function () {
   });
 });
 
+describe('Tau^2 estimators', function () {
+  /*
+    replicate expected estimates in r with:
+    library(metafor)
+    dat <- escalc(measure="RR", ai=tpos, bi=tneg, ci=cpos, di=cneg, data=dat.bcg)
+    sapply(c('DL', 'REML', 'PM', 'SJ', 'HE'), function(m) rma(yi, vi, data=dat, method=m)$tau2)
+  */
+  const bcg = [
+    [4, 119, 11, 128], [6, 300, 29, 274], [3, 228, 11, 209], [62, 13536, 248, 12619], [33, 5036, 47, 5761],
+    [180, 1361, 372, 1079], [8, 2537, 10, 619], [505, 87886, 499, 87892], [29, 7470, 45, 7232],
+    [17, 1699, 65, 1600], [186, 50448, 141, 27197], [5, 2493, 3, 2338], [27, 16886, 29, 17825],
+  ];
+  const te = bcg.map(([tpos, tneg, cpos, cneg]) => Math.log((tpos / (tpos + tneg)) / (cpos / (cpos + cneg))));
+  const se = bcg.map(([tpos, tneg, cpos, cneg]) => Math.sqrt(1 / tpos - 1 / (tpos + tneg) + 1 / cpos - 1 / (cpos + cneg)));
+
+  it('should produce correct estimates for the BCG data', function () {
+    assert.ok(within(computeTau2(te, se), .3088, .0001));
+    assert.ok(within(computeTau2(te, se, 'DL'), .3088, .0001));
+    assert.ok(within(computeTau2(te, se, 'REML'), .3132, .0001));
+    assert.ok(within(computeTau2(te, se, 'PM'), .3181, .0001));
+    assert.ok(within(computeTau2(te, se, 'SJ'), .3455, .0001));
+    assert.ok(within(computeTau2(te, se, 'HE'), .3286, .0001));
+  });
+
+  it('should accept a fixed tau^2', function () {
+    assert.strictEqual(computeTau2(te, se, .1), .1);
+    assert.strictEqual(pooledMean(te.map(() => 1), te, se, true, .95, { tauMethod: .1 }).tau2, .1);
+    assert.throws(() => computeTau2(te, se, -1), { message: 'A fixed tau^2 must be non-negative; got -1' });
+  });
+
+  it('should truncate at 0 for homogeneous data', function () {
+    const homogeneous = [.1, .11, .09, .1];
+    const ses = [.2, .3, .25, .2];
+    ['DL', 'REML', 'PM', 'HE'].forEach((m) => assert.strictEqual(computeTau2(homogeneous, ses, m), 0));
+    // Sidik-Jonkman is always positive
+    assert.ok(computeTau2(homogeneous, ses, 'SJ') > 0);
+  });
+
+  it('should compute HKSJ confidence intervals for pooled rates', function () {
+    const events = [10, 15, 20, 24, 25, 39, 10];
+    const ns = [50, 65, 90,  100, 95, 150, 160];
+    const { estimate, lower, upper } = pooledRate(ns, events, true, .95, { hksj: true });
+    const { estimate: zEstimate, lower: zLower, upper: zUpper } = pooledRate(ns, events);
+    assert.strictEqual(estimate, zEstimate);
+    assert.ok(lower < zLower);
+    assert.ok(upper > zUpper);
+    assert.ok(within(lower, .1322, .001));
+    assert.ok(within(upper, .3019, .001));
+  });
+
+  it('should report heterogeneity statistics with pooled rates', function () {
+    const events = [10, 15, 20, 24, 25, 39, 10];
+    const ns = [50, 65, 90,  100, 95, 150, 160];
+    const { q, dfQ, pQ, tau2, tau, h, i2, i2Lower, i2Upper } = pooledRate(ns, events);
+    assert.ok(within(q, 22.3134, .0001));
+    assert.strictEqual(dfQ, 6);
+    // 1 - pchisq(22.3134, 6)
+    assert.ok(within(pQ, 0.001062, 1e-6));
+    assert.ok(within(tau2, .1783, .0001));
+    assert.ok(within(tau, Math.sqrt(tau2), 1e-10));
+    assert.ok(within(h, Math.sqrt(q / 6), 1e-10));
+    assert.ok(within(i2, (q - 6) / q, 1e-10));
+    assert.ok(within(i2Lower, .4220, .0001));
+    assert.ok(within(i2Upper, .8749, .0001));
+
+    // a single study has no heterogeneity to speak of
+    const single = pooledRate([50], [10]);
+    assert.strictEqual(single.q, undefined);
+    assert.strictEqual(single.i2, undefined);
+  });
+
+  it('should compute prediction intervals for pooled rates', function () {
+    const events = [10, 15, 20, 24, 25, 39, 10];
+    const ns = [50, 65, 90,  100, 95, 150, 160];
+    const { lower, upper, predictionLower, predictionUpper } = pooledRate(ns, events);
+    assert.ok(predictionLower < lower);
+    assert.ok(predictionUpper > upper);
+    // on the logit scale, with qt(.975, 5) = 2.570582
+    assert.ok(within(predictionLower, .0725, .001));
+    assert.ok(within(predictionUpper, .4574, .001));
+  });
+
+  it('should report the estimate with pooled rates', function () {
+    const events = [10, 15, 20, 24, 25, 39, 10];
+    const ns = [50, 65, 90,  100, 95, 150, 160];
+    const logits = events.map((e, ix) => Math.log(e / (ns[ix] - e)));
+    const ses = events.map((e, ix) => Math.sqrt(1 / e + 1 / (ns[ix] - e)));
+    const { tau2: dlTau2 } = pooledRate(ns, events);
+    assert.ok(within(dlTau2, computeTau2(logits, ses), 1e-8));
+
+    const { estimate, tau2 } = pooledRate(ns, events, true, .95, { tauMethod: 'REML' });
+    assert.ok(within(tau2, computeTau2(logits, ses, 'REML'), 1e-8));
+    assert.ok(tau2 > dlTau2);
+    assert.ok(within(estimate, .2033, .001));
+  });
+});
+
+describe('Meta-regression', function () {
+  /*
+    replicate expected estimates in r with:
+    library(metafor)
+    dat <- escalc(measure="RR", ai=tpos, bi=tneg, ci=cpos, di=cneg, data=dat.bcg)
+    rma(yi, vi, mods = ~ ablat, data=dat, method='REML')
+    rma(yi, vi, mods = ~ ablat + year, data=dat, method='REML')
+    rma(yi, vi, mods = ~ alloc, data=dat, method='REML')
+    rma(yi, vi, mods = ~ ablat, data=dat, method='FE')
+  */
+  const bcg = [
+    [4, 119, 11, 128], [6, 300, 29, 274], [3, 228, 11, 209], [62, 13536, 248, 12619], [33, 5036, 47, 5761],
+    [180, 1361, 372, 1079], [8, 2537, 10, 619], [505, 87886, 499, 87892], [29, 7470, 45, 7232],
+    [17, 1699, 65, 1600], [186, 50448, 141, 27197], [5, 2493, 3, 2338], [27, 16886, 29, 17825],
+  ];
+  const te = bcg.map(([tpos, tneg, cpos, cneg]) => Math.log((tpos / (tpos + tneg)) / (cpos / (cpos + cneg))));
+  const se = bcg.map(([tpos, tneg, cpos, cneg]) => Math.sqrt(1 / tpos - 1 / (tpos + tneg) + 1 / cpos - 1 / (cpos + cneg)));
+  const ablat = [44, 55, 42, 52, 13, 44, 19, 13, 27, 42, 18, 33, 33];
+  const year = [1948, 1949, 1960, 1977, 1973, 1953, 1973, 1980, 1968, 1961, 1974, 1969, 1976];
+  const alloc = ['random', 'random', 'random', 'random', 'alternate', 'alternate', 'random', 'random', 'random',
+    'systematic', 'systematic', 'systematic', 'systematic'];
+
+  it('should regress on a numeric moderator', function () {
+    const { coefficients, tau2, r2, qm, dfQM, pQM, qe, dfQE } = metaRegression(te, se, { ablat }, { tauMethod: 'REML' });
+    assert.deepStrictEqual(coefficients.map((c) => c.name), ['intercept', 'ablat']);
+    assert.ok(within(coefficients[0].estimate, .2515, .0001));
+    assert.ok(within(coefficients[0].se, .2491, .0001));
+    assert.ok(within(coefficients[0].p, .3127, .0001));
+    assert.ok(within(coefficients[1].estimate, -.0291, .0001));
+    assert.ok(within(coefficients[1].se, .0072, .0001));
+    assert.ok(within(coefficients[1].lower, -.0432, .0001));
+    assert.ok(within(coefficients[1].upper, -.0150, .0001));
+    assert.ok(within(tau2, .0764, .0001));
+    assert.ok(within(r2, .7563, .0001));
+    assert.ok(within(qm, 16.3582, .0001));
+    assert.strictEqual(dfQM, 1);
+    assert.ok(within(pQM, coefficients[1].p, 1e-8));
+    assert.ok(within(qe, 30.7331, .0001));
+    assert.strictEqual(dfQE, 11);
+  });
+
+  it('should regress on multiple moderators', function () {
+    const { coefficients, tau2, r2, qm, dfQM, qe } = metaRegression(te, se, { ablat, year }, { tauMethod: 'REML' });
+    assert.ok(within(coefficients[1].estimate, -.0280, .0001));
+    assert.ok(within(coefficients[2].estimate, .0019, .0001));
+    assert.ok(within(tau2, .1108, .0001));
+    assert.ok(within(r2, .6463, .0001));
+    assert.ok(within(qm, 12.2045, .0001));
+    assert.strictEqual(dfQM, 2);
+    assert.ok(within(qe, 28.3251, .0001));
+  });
+
+  it('should dummy code categorical moderators', function () {
+    const { coefficients, tau2, qm, dfQM, pQM } = metaRegression(te, se, { alloc }, { tauMethod: 'REML' });
+    assert.deepStrictEqual(coefficients.map((c) => c.name), ['intercept', 'alloc[random]', 'alloc[systematic]']);
+    assert.ok(within(coefficients[0].estimate, -.5180, .0001));
+    assert.ok(within(coefficients[1].estimate, -.4478, .0001));
+    assert.ok(within(coefficients[2].estimate, .0890, .0001));
+    assert.ok(within(tau2, .3615, .0001));
+    assert.ok(within(qm, 1.7675, .0001));
+    assert.strictEqual(dfQM, 2);
+    assert.ok(within(pQM, .4132, .0001));
+  });
+
+  it('should fit fixed effects', function () {
+    const { coefficients, tau2, r2, qm } = metaRegression(te, se, { ablat }, { method: 'FE' });
+    assert.ok(within(coefficients[0].estimate, .3436, .0001));
+    assert.ok(within(coefficients[1].estimate, -.0292, .0001));
+    assert.ok(within(coefficients[1].se, .0027, .0001));
+    assert.strictEqual(tau2, 0);
+    assert.strictEqual(r2, undefined);
+    assert.ok(within(qm, 121.4999, .0001));
+
+    // with a single binary moderator, the slope is the difference in fixed effects subgroup estimates
+    const group = ablat.map((a) => a > 30 ? 'high' : 'low');
+    const subgroupMean = (level) => {
+      const w = se.filter((_, ix) => group[ix] === level).map((s) => 1 / Math.pow(s, 2));
+      const y = te.filter((_, ix) => group[ix] === level);
+      return y.reduce((acc, yi, ix) => acc + w[ix] * yi, 0) / w.reduce((a, b) => a + b);
+    };
+    const { coefficients: grouped } = metaRegression(te, se, { group }, { method: 'FE' });
+    assert.ok(within(grouped[0].estimate, subgroupMean('high'), 1e-10));
+    assert.ok(within(grouped[1].estimate, subgroupMean('low') - subgroupMean('high'), 1e-10));
+  });
+
+  it('should reject invalid moderators', function () {
+    assert.throws(() => metaRegression(te, se, {}), { message: 'At least one moderator is required' });
+    assert.throws(() => metaRegression(te, se, { ablat: [1, 2] }),
+      { message: "Moderator 'ablat' must have a value for each of the 13 studies" });
+    assert.throws(() => metaRegression(te, se, { alloc: alloc.map(() => 'random') }),
+      { message: "Categorical moderator 'alloc' must have at least 2 levels" });
+    assert.throws(() => metaRegression(te.slice(0, 2), se.slice(0, 2), { ablat: [1, 2] }),
+      { message: 'Insufficient studies (k=2) to estimate 2 coefficients' });
+    assert.throws(() => metaRegression(te, se, { constant: ablat.map(() => 5) }),
+      { message: 'Moderators are collinear; the design matrix has rank 1 for 2 coefficients' });
+    assert.throws(() => metaRegression(te, se, { ablat, doubled: ablat.map((a) => 2 * a) }),
+      { message: 'Moderators are collinear; the design matrix has rank 2 for 3 coefficients' });
+    assert.throws(() => metaRegression(te, se, { ablat }, { method: 'ML' }),
+      { message: "Unrecognized method 'ML'; expected one of RE, FE" });
+  });
+});
+
+describe('Subgroup analysis', function () {
+  // the BCG data, as generic effects: with n = 1, sds are standard errors
+  const bcg = [
+    [4, 119, 11, 128], [6, 300, 29, 274], [3, 228, 11, 209], [62, 13536, 248, 12619], [33, 5036, 47, 5761],
+    [180, 1361, 372, 1079], [8, 2537, 10, 619], [505, 87886, 499, 87892], [29, 7470, 45, 7232],
+    [17, 1699, 65, 1600], [186, 50448, 141, 27197], [5, 2493, 3, 2338], [27, 16886, 29, 17825],
+  ];
+  const te = bcg.map(([tpos, tneg, cpos, cneg]) => Math.log((tpos / (tpos + tneg)) / (cpos / (cpos + cneg))));
+  const se = bcg.map(([tpos, tneg, cpos, cneg]) => Math.sqrt(1 / tpos - 1 / (tpos + tneg) + 1 / cpos - 1 / (cpos + cneg)));
+  const ns = te.map(() => 1);
+  const alloc = ['random', 'random', 'random', 'random', 'alternate', 'alternate', 'random', 'random', 'random',
+    'systematic', 'systematic', 'systematic', 'systematic'];
+
+  it('should pool each subgroup & overall', function () {
+    const { subgroups, overall } = subgroupAnalysis(alloc, pooledMean, [ns, te, se]);
+    assert.deepStrictEqual(subgroups.map((s) => [s.subgroup, s.k]), [['random', 7], ['alternate', 2], ['systematic', 4]]);
+    const systematic = alloc.map((a, ix) => ix).filter((ix) => alloc[ix] === 'systematic');
+    assert.deepStrictEqual(subgroups[2], {
+      subgroup: 'systematic',
+      k: 4,
+      ...pooledMean(systematic.map(() => 1), systematic.map((ix) => te[ix]), systematic.map((ix) => se[ix])),
+    });
+    assert.deepStrictEqual(overall, pooledMean(ns, te, se));
+  });
+
+  it('should test for differences between subgroups', function () {
+    const { qBetween } = subgroupAnalysis(alloc, pooledMean, [ns, te, se]);
+    // under fixed effects, Q partitions into within & between subgroup components
+    const qWithin = ['random', 'alternate', 'systematic']
+      .map((level) => computeHeterogeneity(te.filter((_, ix) => alloc[ix] === level), se.filter((_, ix) => alloc[ix] === level)).q)
+      .reduce((a, b) => a + b);
+    assert.ok(within(qBetween.fixed.q, computeHeterogeneity(te, se).q - qWithin, 1e-8));
+    assert.ok(within(qBetween.fixed.q, 19.8654, .0001));
+    assert.strictEqual(qBetween.fixed.df, 2);
+    assert.ok(within(qBetween.random.q, 1.5368, .0001));
+    assert.ok(within(qBetween.random.p, .4638, .0001));
+  });
+
+  /*
+    library(metafor)
+    dat <- escalc(measure="RR", ai=tpos, bi=tneg, ci=cpos, di=cneg, data=dat.bcg)
+    rma(yi, vi, mods = ~ alloc, data=dat, method='REML')
+  */
+  it('should test for differences between subgroups with a common tau^2', function () {
+    const { subgroups, qBetween, tau2Common } = subgroupAnalysis(alloc, pooledMean, [ns, te, se], true, .95,
+      { commonTau: true, tauMethod: 'REML' });
+    // the mixed effects meta-regression on subgroup membership
+    assert.ok(within(tau2Common, .3615, .0001));
+    assert.ok(within(qBetween.random.q, 1.7675, .0001));
+    assert.ok(within(qBetween.random.p, .4132, .0001));
+    subgroups.forEach((s) => assert.strictEqual(s.tau2, tau2Common));
+  });
+
+  it('should analyze subgroups of rates & medians', function () {
+    const ns = [50, 60, 70, 80, 90];
+    const events = [10, 12, 30, 35, 40];
+    const groups = [1, 1, 2, 2, 2];
+    const rates = subgroupAnalysis(groups, pooledRate, [ns, events], false);
+    assert.deepStrictEqual(rates.subgroups[0], { subgroup: 1, k: 2, ...pooledRate([50, 60], [10, 12], false) });
+    assert.ok(within(rates.subgroups[0].estimate, .2, 1e-10));
+    assert.ok(rates.qBetween.fixed.p < .05);
+
+    const medians = subgroupAnalysis(groups, pooledMedian, [ns, events]);
+    assert.deepStrictEqual(medians.subgroups[1], { subgroup: 2, k: 3, ...pooledMedian([70, 80, 90], [30, 35, 40]) });
+    assert.deepStrictEqual(medians.overall, pooledMedian(ns, events));
+  });
+
+  it('should not test for differences between subgroups of medians', function () {
+    // median CIs are not normal intervals, and collapse to a point for single studies
+    const single = subgroupAnalysis(['a', 'a', 'a', 'b'], pooledMedian, [[10, 12, 14, 20], [3, 4, 5, 6]]);
+    assert.strictEqual(single.qBetween, undefined);
+    assert.deepStrictEqual(single.subgroups.map((s) => [s.subgroup, s.k]), [['a', 3], ['b', 1]]);
+    const pairs = subgroupAnalysis(['a', 'a', 'b', 'b'], pooledMedian, [[10, 12, 14, 20], [3, 4, 5, 6]]);
+    assert.strictEqual(pairs.qBetween, undefined);
+    assert.deepStrictEqual(pairs.subgroups[1], { subgroup: 'b', k: 2, ...pooledMedian([14, 20], [5, 6]) });
+  });
+
+  it('should reject invalid subgroup analyses', function () {
+    assert.throws(() => subgroupAnalysis(alloc.map(() => 'random'), pooledMean, [ns, te, se]),
+      { message: 'Subgroup analysis requires at least 2 subgroups; got 1' });
+    assert.throws(() => subgroupAnalysis(alloc, arithmeticPooledMean, [ns, te]),
+      { message: 'Subgroup analysis is available for pooledMean, pooledRate & pooledMedian' });
+    assert.throws(() => subgroupAnalysis(alloc, pooledMean, [ns, te, se.slice(1)]),
+      { message: 'Array lengths are not equal (subgroups=13 vs. data[2]=12)' });
+    assert.throws(() => subgroupAnalysis([1, 2], pooledRate, [[10, 10], [1, 2]], true, .95, { method: 'GLMM' }),
+      { message: 'Subgroup analysis is not available for GLMM pooling' });
+  });
+});
+
+describe('Leave-one-out analysis', function () {
+  // generic effects: with n = 1, sds are standard errors
+  const ns = [1, 1, 1, 1];
+  const te = [.1, .3, .5, -.05];
+  const se = [.1, .15, .2, .1];
+
+  it('should pool all studies but one, for each study', function () {
+    const { overall, omissions } = leaveOneOut(pooledMean, [ns, te, se], true, .95, { tauMethod: 'REML' });
+    assert.deepStrictEqual(overall, pooledMean(ns, te, se, true, .95, { tauMethod: 'REML' }));
+    assert.strictEqual(omissions.length, 4);
+    omissions.forEach(({ omitted, estimate, lower, upper, tau2, i2, i2Lower, i2Upper }, ix) => {
+      assert.strictEqual(omitted, ix);
+      const keep = (arr) => arr.filter((_, i) => i !== ix);
+      const expected = pooledMean(keep(ns), keep(te), keep(se), true, .95, { tauMethod: 'REML' });
+      assert.deepStrictEqual({ estimate, lower, upper, tau2, i2, i2Lower, i2Upper }, {
+        estimate: expected.estimate,
+        lower: expected.lower,
+        upper: expected.upper,
+        tau2: expected.tau2,
+        i2: expected.i2,
+        i2Lower: expected.i2Lower,
+        i2Upper: expected.i2Upper,
+      });
+    });
+  });
+
+  it('should flag omissions that change significance', function () {
+    const { overall, omissions } = leaveOneOut(pooledMean, [ns, te, se]);
+    assert.ok(overall.lower < 0);
+    assert.deepStrictEqual(omissions.map((o) => o.changesSignificance), [false, false, false, true]);
+    assert.ok(omissions[3].lower > 0);
+
+    const rates = leaveOneOut(pooledRate, [[50, 60, 70, 80], [10, 20, 15, 30]], false, .95, { nullEffect: .3 });
+    assert.deepStrictEqual(rates.overall, pooledRate([50, 60, 70, 80], [10, 20, 15, 30], false));
+    rates.omissions.forEach((o) => assert.strictEqual(o.changesSignificance,
+      (o.upper < .3 || o.lower > .3) !== (rates.overall.upper < .3 || rates.overall.lower > .3)));
+  });
+
+  it('should only flag omissions for rates against a given null', function () {
+    const data = [[50, 65, 90, 100, 200], [10, 15, 20, 24, 1]];
+    leaveOneOut(pooledRate, data).omissions.forEach((o) => assert.strictEqual(o.changesSignificance, undefined));
+    // without the last study, the CI moves from [.108, .282] to [.183, .277]
+    const { omissions } = leaveOneOut(pooledRate, data, true, .95, { nullEffect: .15 });
+    assert.ok(omissions[4].lower > .15);
+    assert.deepStrictEqual(omissions.map((o) => o.changesSignificance), [false, false, false, false, true]);
+  });
+
+  it('should omit per-study summaries along with studies', function () {
+    const summaries = { median: [undefined, undefined, 10], q1: [undefined, undefined, 8], q3: [undefined, undefined, 13] };
+    const { omissions } = leaveOneOut(pooledMean, [[20, 30, 40], [9, 11, undefined], [3, 4, undefined]], true, .95,
+      { summaries });
+    assert.strictEqual(omissions[0].estimate, pooledMean([30, 40], [11, undefined], [4, undefined], true, .95,
+      { summaries: { median: [undefined, 10], q1: [undefined, 8], q3: [undefined, 13] } }).estimate);
+    assert.strictEqual(omissions[2].estimate, pooledMean([20, 30], [9, 11], [3, 4]).estimate);
+  });
+
+  it('should reject invalid leave-one-out analyses', function () {
+    assert.throws(() => leaveOneOut(pooledMedian, [ns, te]),
+      { message: 'Leave-one-out analysis is available for pooledMean & pooledRate' });
+    assert.throws(() => leaveOneOut(pooledMean, [[1], [.1], [.1]]),
+      { message: 'Leave-one-out analysis requires at least 2 studies; got 1' });
+    assert.throws(() => leaveOneOut(pooledMean, [ns, te, se.slice(1)]),
+      { message: 'Array lengths are not equal (data[0]=4 vs. data[2]=3)' });
+  });
+});
+
+describe('Pairwise binary meta-analysis', function () {
+  /*
+    replicate expected estimates in r with:
+    library(meta)
+    m <- metabin(tpos, tpos + tneg, cpos, cpos + cneg, data=dat.bcg, sm='RR', method='Inverse')
+    # or with metafor
+    rma(measure="RR", ai=tpos, bi=tneg, ci=cpos, di=cneg, data=dat.bcg, method='DL')
+  */
+  const bcg = [
+    [4, 119, 11, 128], [6, 300, 29, 274], [3, 228, 11, 209], [62, 13536, 248, 12619], [33, 5036, 47, 5761],
+    [180, 1361, 372, 1079], [8, 2537, 10, 619], [505, 87886, 499, 87892], [29, 7470, 45, 7232],
+    [17, 1699, 65, 1600], [186, 50448, 141, 27197], [5, 2493, 3, 2338], [27, 16886, 29, 17825],
+  ];
+  const eventsT = bcg.map(([tpos]) => tpos);
+  const nT = bcg.map(([tpos, tneg]) => tpos + tneg);
+  const eventsC = bcg.map(([, , cpos]) => cpos);
+  const nC = bcg.map(([, , cpos, cneg]) => cpos + cneg);
+
+  it('should produce correct risk ratios', function () {
+    const { estimate, lower, upper, q, dfQ, tau2, i2, studyEstimates } = pairwiseBinary(eventsT, nT, eventsC, nC,
+      { measure: 'RR' });
+    assert.ok(within(Math.log(estimate), -0.7141, .0001));
+    assert.ok(within(lower, .3449, .0001));
+    assert.ok(within(upper, .6950, .0001));
+    assert.ok(within(q, 152.2330, .0001));
+    assert.strictEqual(dfQ, 12);
+    assert.ok(within(tau2, .3088, .0001));
+    assert.ok(within(i2, .9212, .0001));
+
+    assert.strictEqual(studyEstimates.length, 13);
+    assert.ok(within(studyEstimates[0].estimate, (4 / 123) / (11 / 139), 1e-10));
+
+    const reml = pairwiseBinary(eventsT, nT, eventsC, nC, { measure: 'RR', tauMethod: 'REML' });
+    assert.ok(within(Math.log(reml.estimate), -0.7145, .0001));
+    assert.ok(within(Math.log(reml.lower), -1.0669, .0001));
+    assert.ok(within(Math.log(reml.upper), -0.3622, .0001));
+
+    const fe = pairwiseBinary(eventsT, nT, eventsC, nC, { measure: 'RR', randomEffects: false });
+    assert.ok(within(Math.log(fe.estimate), -0.4303, .0001));
+    assert.strictEqual(fe.predictionLower, undefined);
+  });
+
+  it('should produce correct odds ratios and risk differences', function () {
+    const or = pairwiseBinary(eventsT, nT, eventsC, nC);
+    assert.ok(within(Math.log(or.estimate), -0.7474, .0001));
+    assert.ok(within(or.tau2, .3663, .0001));
+
+    const rd = pairwiseBinary(eventsT, nT, eventsC, nC, { measure: 'RD', randomEffects: false });
+    const w = eventsT.map((e, ix) => 1 / (e * (nT[ix] - e) / Math.pow(nT[ix], 3) +
+      eventsC[ix] * (nC[ix] - eventsC[ix]) / Math.pow(nC[ix], 3)));
+    const rds = eventsT.map((e, ix) => e / nT[ix] - eventsC[ix] / nC[ix]);
+    const expected = rds.reduce((acc, x, ix) => acc + w[ix] * x, 0) / w.reduce((a, b) => a + b);
+    assert.ok(within(rd.estimate, expected, 1e-10));
+  });
+
+  /*
+    library(meta)
+    metabin(c(0, 5, 0), c(20, 30, 25), c(0, 8, 3), c(20, 30, 25), sm='OR', method='Inverse')
+  */
+  it('should correct zero cells and exclude double zero studies', function () {
+    const { estimate, dfQ, studyEstimates } = pairwiseBinary([0, 5, 0], [20, 30, 25], [0, 8, 3], [20, 30, 25]);
+    assert.strictEqual(dfQ, 1);
+    assert.deepStrictEqual(studyEstimates[0], { lower: undefined, estimate: undefined, upper: undefined });
+    assert.ok(within(studyEstimates[1].estimate, (5 * 22) / (25 * 8), 1e-10));
+    // a continuity correction of .5 is added to each cell
+    assert.ok(within(studyEstimates[2].estimate, (.5 * 22.5) / (25.5 * 3.5), 1e-10));
+    assert.ok(within(estimate, .4425, .0001));
+
+    // double zero studies are estimable with risk differences
+    const rd = pairwiseBinary([0, 5, 0], [20, 30, 25], [0, 8, 3], [20, 30, 25], { measure: 'RD' });
+    assert.strictEqual(rd.dfQ, 2);
+    assert.strictEqual(rd.studyEstimates[0].estimate, 0);
+
+    assert.deepStrictEqual(pairwiseBinary([0], [20], [0], [20]), {
+      studyEstimates: [{ lower: undefined, estimate: undefined, upper: undefined }],
+    });
+  });
+
+  /*
+    replicate expected estimates in r with:
+    library(metafor)
+    rma.mh(measure="OR", ai=tpos, bi=tneg, ci=cpos, di=cneg, data=dat.bcg)
+    rma.mh(measure="RR", ai=tpos, bi=tneg, ci=cpos, di=cneg, data=dat.bcg)
+    rma.mh(measure="RD", ai=tpos, bi=tneg, ci=cpos, di=cneg, data=dat.bcg)
+    rma.peto(ai=tpos, bi=tneg, ci=cpos, di=cneg, data=dat.bcg)
+  */
+  it('should pool with the Mantel-Haenszel and Peto methods', function () {
+    const mhOR = pairwiseBinary(eventsT, nT, eventsC, nC, { method: 'MH', randomEffects: false });
+    assert.ok(within(Math.log(mhOR.estimate), -0.4734, .0001));
+    assert.ok(within(Math.log(mhOR.lower), -0.5538, .0001));
+    assert.ok(within(Math.log(mhOR.upper), -0.3930, .0001));
+
+    const mhRR = pairwiseBinary(eventsT, nT, eventsC, nC, { measure: 'RR', method: 'MH', randomEffects: false });
+    assert.ok(within(Math.log(mhRR.estimate), -0.4537, .0001));
+
+    const mhRD = pairwiseBinary(eventsT, nT, eventsC, nC, { measure: 'RD', method: 'MH', randomEffects: false });
+    assert.ok(within(mhRD.estimate, -0.0033, .0001));
+
+    const peto = pairwiseBinary(eventsT, nT, eventsC, nC, { method: 'Peto', randomEffects: false });
+    assert.ok(within(Math.log(peto.estimate), -0.4744, .0001));
+    assert.ok(within(peto.q, 167.7302, .0001));
+
+    // random effects are pooled by inverse variance, as in meta
+    const mhRandom = pairwiseBinary(eventsT, nT, eventsC, nC, { method: 'MH' });
+    assert.deepStrictEqual(mhRandom, pairwiseBinary(eventsT, nT, eventsC, nC));
+  });
+
+  it('should not require continuity corrections with the Mantel-Haenszel method', function () {
+    // the MH odds ratio of sparse tables is sum(a * d / N) / sum(b * c / N)
+    const eT = [0, 1, 2];
+    const n1 = [100, 120, 90];
+    const eC = [2, 3, 1];
+    const n2 = [100, 110, 95];
+    const { estimate, studyEstimates } = pairwiseBinary(eT, n1, eC, n2, { method: 'MH', randomEffects: false });
+    const R = eT.reduce((acc, a, ix) => acc + a * (n2[ix] - eC[ix]) / (n1[ix] + n2[ix]), 0);
+    const S = eT.reduce((acc, a, ix) => acc + (n1[ix] - a) * eC[ix] / (n1[ix] + n2[ix]), 0);
+    assert.ok(within(estimate, R / S, 1e-10));
+    // study estimates are still corrected for display
+    assert.ok(within(studyEstimates[0].estimate, (.5 * 98.5) / (100.5 * 2.5), 1e-10));
+  });
+
+  it('should correct zero cells where the Mantel-Haenszel ratio is undefined', function () {
+    // no events in the treatment arm of any study
+    const eT = [0, 0];
+    const n1 = [50, 60];
+    const eC = [3, 5];
+    const n2 = [50, 60];
+    const or = pairwiseBinary(eT, n1, eC, n2, { method: 'MH', randomEffects: false });
+    // .5 is added to every cell, e.g. the first study is [.5, 50.5, 3.5, 47.5] of 102
+    const R = (.5 * 47.5) / 102 + (.5 * 55.5) / 122;
+    const S = (50.5 * 3.5) / 102 + (60.5 * 5.5) / 122;
+    assert.ok(within(or.estimate, R / S, 1e-10));
+    assert.ok(or.lower > 0 && or.lower < or.estimate && or.upper > or.estimate && Number.isFinite(or.upper));
+    const rr = pairwiseBinary(eT, n1, eC, n2, { measure: 'RR', method: 'MH', randomEffects: false });
+    assert.ok(within(rr.estimate, ((.5 * 51) / 102 + (.5 * 61) / 122) / ((3.5 * 51) / 102 + (5.5 * 61) / 122), 1e-10));
+    assert.ok(Number.isFinite(rr.lower) && Number.isFinite(rr.upper));
+  });
+
+  it('should compute Peto odds ratios for single studies', function () {
+    // O - E = 10 - 15 = -5, V = 50 * 50 * 30 * 70 / (100^2 * 99)
+    const { estimate, studyEstimates } = pairwiseBinary([10], [50], [20], [50], { method: 'Peto' });
+    const v = 50 * 50 * 30 * 70 / (10000 * 99);
+    assert.ok(within(estimate, Math.exp(-5 / v), 1e-10));
+    assert.ok(within(studyEstimates[0].estimate, Math.exp(-5 / v), 1e-10));
+  });
+
+  it('should handle a single study', function () {
+    const { estimate, lower, upper, q } = pairwiseBinary([10], [50], [20], [50], { measure: 'RR' });
+    const se = Math.sqrt(1 / 10 - 1 / 50 + 1 / 20 - 1 / 50);
+    assert.ok(within(estimate, .5, 1e-10));
+    assert.ok(within(lower, Math.exp(Math.log(.5) - 1.959964 * se), 1e-6));
+    assert.ok(within(upper, Math.exp(Math.log(.5) + 1.959964 * se), 1e-6));
+    assert.strictEqual(q, undefined);
+  });
+
+  it('should throw on invalid inputs', function () {
+    assert.throws(() => pairwiseBinary([1, 2], [10, 10], [1], [10]),
+      {
+        message: 'Array lengths are not equal (eventsT=2 vs. eventsC=1)'
+      });
+    assert.throws(() => pairwiseBinary([11], [10], [1], [10]),
+      {
+        message: 'event is greater than n at index 0'
+      });
+    assert.throws(() => pairwiseBinary([1], [10], [1], [10], { measure: 'HR' }),
+      {
+        message: "Unrecognized measure 'HR'; expected one of OR, RR, RD"
+      });
+    assert.throws(() => pairwiseBinary([1], [10], [1], [10], { method: 'GLMM' }),
+      {
+        message: "Unrecognized method 'GLMM'; expected one of Inverse, MH, Peto"
+      });
+    assert.throws(() => pairwiseBinary([1], [10], [1], [10], { measure: 'RR', method: 'Peto' }),
+      {
+        message: "Peto's method is only applicable to odds ratios; got measure 'RR'"
+      });
+  });
+});
+
+describe('Pairwise continuous meta-analysis', function () {
+  const meanT = [10, 12, 9.5];
+  const sdT = [2, 3, 2.5];
+  const nT = [30, 40, 25];
+  const meanC = [11, 11.5, 10.5];
+  const sdC = [2.2, 2.8, 2.4];
+  const nC = [28, 42, 27];
+
+  it('should produce correct mean differences', function () {
+    const { estimate, lower, upper, tau2, studyEstimates } = pairwiseContinuous(meanT, sdT, nT, meanC, sdC, nC);
+    const te = meanT.map((m, ix) => m - meanC[ix]);
+    const se = meanT.map((m, ix) => Math.sqrt(Math.pow(sdT[ix], 2) / nT[ix] + Math.pow(sdC[ix], 2) / nC[ix]));
+    assert.ok(within(tau2, computeTau2(te, se), 1e-10));
+    const w = se.map((s) => 1 / (Math.pow(s, 2) + tau2));
+    const expected = te.reduce((acc, x, ix) => acc + w[ix] * x, 0) / w.reduce((a, b) => a + b);
+    const seExpected = Math.sqrt(1 / w.reduce((a, b) => a + b));
+    assert.ok(within(estimate, expected, 1e-10));
+    assert.ok(within(lower, expected - 1.959964 * seExpected, 1e-5));
+    assert.ok(within(upper, expected + 1.959964 * seExpected, 1e-5));
+
+    assert.ok(within(studyEstimates[0].estimate, -1, 1e-10));
+    assert.ok(within(studyEstimates[0].lower, -1 - 1.959964 * se[0], 1e-5));
+  });
+
+  it('should produce Hedges g standardized mean differences', function () {
+    const { estimate, studyEstimates } = pairwiseContinuous(meanT, sdT, nT, meanC, sdC, nC, { measure: 'SMD' });
+    const sp = Math.sqrt((29 * 4 + 27 * Math.pow(2.2, 2)) / 56);
+    assert.ok(within(studyEstimates[0].estimate, -1 / sp * (1 - 3 / (4 * 58 - 9)), 1e-10));
+    assert.ok(within(estimate, -.2082, .0001));
+  });
+
+  it('should handle no studies', function () {
+    assert.deepStrictEqual(pairwiseContinuous([], [], [], [], [], []), { studyEstimates: [] });
+  });
+
+  it('should throw on invalid inputs', function () {
+    assert.throws(() => pairwiseContinuous([1], [0], [10], [1], [1], [10]),
+      {
+        message: 'Element at index 0 is non-positive in sdT'
+      });
+    assert.throws(() => pairwiseContinuous([1], [1], [10], [1], [1], [10, 11]),
+      {
+        message: 'Array lengths are not equal (meanT=1 vs. nC=2)'
+      });
+    assert.throws(() => pairwiseContinuous([1], [1], [10], [1], [1], [10], { measure: 'ROM' }),
+      {
+        message: "Unrecognized measure 'ROM'; expected one of MD, SMD"
+      });
+  });
+});
+
+describe('Rate pooling on transformed proportions', function () {
+  const events = [10, 15, 20, 24, 25, 39, 10];
+  const ns = [50, 65, 90,  100, 95, 150, 160];
+
+  function fixedPool(te, seTE) {
+    const w = seTE.map((se) => 1 / Math.pow(se, 2));
+    return te.reduce((acc, t, ix) => acc + w[ix] * t, 0) / w.reduce((a, b) => a + b);
+  }
+
+  it('should pool raw and log proportions', function () {
+    const ps = events.map((e, ix) => e / ns[ix]);
+    const raw = pooledRate(ns, events, false, .95, { measure: 'PRAW' });
+    assert.ok(within(raw.estimate, fixedPool(ps, ps.map((p, ix) => Math.sqrt(p * (1 - p) / ns[ix]))), 1e-10));
+
+    const log = pooledRate(ns, events, false, .95, { measure: 'PLN' });
+    const logPs = ps.map((p) => Math.log(p));
+    const logSEs = events.map((e, ix) => Math.sqrt(1 / e - 1 / ns[ix]));
+    assert.ok(within(log.estimate, Math.exp(fixedPool(logPs, logSEs)), 1e-10));
+    assert.ok(log.lower < log.estimate && log.estimate < log.upper);
+  });
+
+  it('should pool arcsine transformed proportions', function () {
+    const as = pooledRate(ns, events, false, .95, { measure: 'PAS' });
+    const asPs = events.map((e, ix) => Math.asin(Math.sqrt(e / ns[ix])));
+    const asSEs = ns.map((n) => Math.sqrt(1 / (4 * n)));
+    assert.ok(within(as.estimate, Math.pow(Math.sin(fixedPool(asPs, asSEs)), 2), 1e-10));
+  });
+
+  it('should pool Freeman-Tukey transformed proportions', function () {
+    // Miller's back transformation recovers the proportion of identical studies
+    const { estimate } = pooledRate([40, 40, 40], [8, 8, 8], true, .95, { measure: 'PFT' });
+    assert.ok(within(estimate, .2, 1e-10));
+
+    // no correction is needed for 0 events, and the back transformation is bounded at 0
+    const sparse = pooledRate([40, 80, 60], [0, 3, 2], true, .95, { measure: 'PFT' });
+    assert.ok(within(sparse.estimate, .0233, .0001));
+    assert.ok(sparse.lower >= 0);
+    const none = pooledRate([40, 80, 60], [0, 0, 0], false, .95, { measure: 'PFT' });
+    assert.strictEqual(none.estimate, 0);
+    assert.strictEqual(none.lower, 0);
+  });
+
+  /*
+    library(meta)
+    metaprop(c(10, 10, 0), c(50, 160, 40), method.ci='WS')
+    # and method.ci='AC', 'NAsm'
+  */
+  it('should compute study CIs by each method', function () {
+    const cp = pooledRate([50, 160, 40], [10, 10, 0]).studyEstimates;
+    // exact intervals don't collapse for studies with no events
+    assert.strictEqual(cp[2].lower, 0);
+    assert.ok(within(cp[2].upper, 1 - Math.pow(.025, 1 / 40), 1e-10));
+
+    const ws = pooledRate([50, 160, 40], [10, 10, 0], true, .95, { methodCI: 'WS' }).studyEstimates;
+    assert.ok(within(ws[0].lower, .1124, .0001));
+    assert.ok(within(ws[0].upper, .3304, .0001));
+    assert.ok(within(ws[2].upper, .0876, .0001));
+
+    const ac = pooledRate([50, 160, 40], [10, 10, 0], true, .95, { methodCI: 'AC' }).studyEstimates;
+    assert.ok(within(ac[0].lower, .1105, .0001));
+    assert.ok(within(ac[0].upper, .3323, .0001));
+    assert.strictEqual(ac[2].lower, 0);
+
+    const asymptotic = pooledRate([50, 160, 40], [10, 10, 0], true, .95, { methodCI: 'NAsm' }).studyEstimates;
+    assert.ok(within(asymptotic[0].lower, .0891, .0001));
+    assert.strictEqual(asymptotic[2].upper, 0);
+
+    assert.throws(() => pooledRate([50], [10], true, .95, { methodCI: 'JEFFREYS' }),
+      {
+        message: "Unrecognized methodCI 'JEFFREYS'; expected one of CP, WS, AC, NAsm"
+      });
+  });
+
+  it('should default to logits', function () {
+    assert.deepStrictEqual(pooledRate(ns, events, true, .95, { measure: 'PLOGIT' }), pooledRate(ns, events));
+  });
+
+  it('should throw on invalid measures', function () {
+    assert.throws(() => pooledRate(ns, events, true, .95, { measure: 'OR' }),
+      {
+        message: "Unrecognized measure 'OR'; expected one of PLOGIT, PLN, PRAW, PAS, PFT"
+      });
+    assert.throws(() => pooledRate(ns, events, true, .95, { measure: 'PFT', method: 'GLMM' }),
+      {
+        message: "GLMM pooling is only available for logits; got measure 'PFT'"
+      });
+  });
+});
+
+describe('GLMM rate pooling', function () {
+  const events = [10, 15, 20, 24, 25, 39, 10];
+  const ns = [50, 65, 90,  100, 95, 150, 160];
+
+  /*
+    the maximum likelihood estimates (mu = -1.3895, tau = 0.458) were verified by brute force numerical integration &
+    grid search over the marginal likelihood. lme4 (used by meta) defaults to the Laplace approximation:
+    library(meta)
+    metaprop(events, ns, method='GLMM')
+    library(lme4)
+    glmer(cbind(events, ns - events) ~ 1 + (1 | study), family=binomial, nAGQ=20)
+  */
+  it('should produce maximum likelihood estimates', function () {
+    const { estimate, tau, tau2, lower, upper } = pooledRate(ns, events, true, .95, { method: 'GLMM', nAGQ: 20 });
+    assert.ok(within(Math.log(estimate / (1 - estimate)), -1.3895, .001));
+    assert.ok(within(tau, .458, .001));
+    assert.ok(within(tau2, Math.pow(tau, 2), 1e-10));
+    assert.ok(lower < estimate && estimate < upper);
+
+    // the Laplace approximation is close, for moderate proportions
+    const laplace = pooledRate(ns, events, true, .95, { method: 'GLMM' });
+    assert.ok(within(laplace.estimate, estimate, .001));
+    assert.ok(within(laplace.tau, tau, .01));
+    assert.ok(laplace.predictionLower < laplace.lower);
+  });
+
+  it('should handle 0 and full event counts without correction', function () {
+    const zeroEvents = [50, 20, 10, 0];
+    const zeroNs = [50, 100, 50, 40];
+    const { estimate, lower, upper, tau } = pooledRate(zeroNs, zeroEvents, true, .95, { method: 'GLMM' });
+    assert.ok(lower < estimate && estimate < upper);
+    assert.ok(tau > 0);
+
+    // under fixed effects, the model is logistic regression on the total events
+    const fe = pooledRate(zeroNs, zeroEvents, false, .95, { method: 'GLMM' });
+    assert.ok(within(fe.estimate, 80 / 240, 1e-10));
+    const se = Math.sqrt(1 / (240 * (1 / 3) * (2 / 3)));
+    assert.ok(within(fe.lower, 1 / (1 + Math.exp(-(Math.log(.5) - 1.959964 * se))), 1e-6));
+  });
+
+  it('should estimate tau as 0 for homogeneous data', function () {
+    const { estimate, tau } = pooledRate([100, 100, 100], [20, 20, 20], true, .95, { method: 'GLMM' });
+    assert.strictEqual(tau, 0);
+    assert.ok(within(estimate, .2, 1e-6));
+  });
+
+  it('should throw on invalid options', function () {
+    assert.throws(() => pooledRate(ns, events, true, .95, { method: 'GLMM', hksj: true }),
+      {
+        message: 'HKSJ confidence intervals are not available for GLMM pooling'
+      });
+    assert.throws(() => pooledRate(ns, events, true, .95, { method: 'GLMM', nAGQ: 0 }),
+      {
+        message: 'nAGQ must be a positive integer; got 0'
+      });
+    assert.throws(() => pooledRate(ns, events, true, .95, { method: 'MH' }),
+      {
+        message: "Unrecognized method 'MH'; expected one of Inverse, GLMM"
+      });
+    [false, true].forEach((randomEffects) => {
+      assert.throws(() => pooledRate([50, 60, 70], [0, 0, 0], randomEffects, .95, { method: 'GLMM' }),
+        {
+          message: 'GLMM pooling requires at least one event & one non-event across studies'
+        });
+      assert.throws(() => pooledRate([50, 60], [50, 60], randomEffects, .95, { method: 'GLMM' }),
+        {
+          message: 'GLMM pooling requires at least one event & one non-event across studies'
+        });
+    });
+  });
+});
+
 describe('Median Pooling', function () {
   /*
     reproduce in R with the below. note we expect some leeway, since our quantile method differs
@@ -1,4 +1,5 @@
-const {linearRegression} = require("../src/util");
+const {linearRegression, chiSquaredCDF, logGamma, studentTCDF, studentTQuantile, gaussHermite,
+  betaQuantile} = require("../src/util");
 const assert = require("assert");
 
 const x = [1, 0, 0, 0, 1, 0, 1, 1, 0, 1, 1, 0, 0, 0, 0, 0, 0, 1, 0, 0, 0, 0, 0, 1, 1, 0, 1, 1, 1, 0, 1, 1, 0, 1, 0, 1, 1, 1, 0, 1, 0, 0, 1, 0, 1, 0, 0, 0, 0, 0, 0, 1, 0, 1, 0, 1, 1, 1, 0, 1, 1, 1, 1, 1, 1, 0, 0, 0, 0, 0, 1, 1, 1, 1, 0, 1, 0, 0, 0, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 1, 1, 0, 1, 0, 1, 1, 1, 0, 0];
@@ -17,9 +18,12 @@ describe('OLS', function () {
     const reg = linearRegression(y, x);
     assert.deepStrictEqual(reg, {
       intercept:  5.018961530458862,
+      interceptSE: 0.06534151513073642,
       interceptP: 0,
       slope: 2.7597004151274684,
+      slopeSE: 0.09740537972343849,
       slopeP: 0,
+      df: 98,
     });
   });
 
@@ -28,12 +32,104 @@ describe('OLS', function () {
        y2 <- 0.1 + 0.001 * x + epsilon
        summary(lm(y2~x+1))
      */
-    const reg = linearRegression(y2, x);
+    const { interceptP, slopeP, ...reg } = linearRegression(y2, x);
     assert.deepStrictEqual(reg, {
       intercept:  0.11896153045886437,
-      interceptP: 0.07174931597504575,
+      interceptSE: 0.0653415151307364,
       slope: 0.06070041512746545,
-      slopeP: 0.5346307755868058,
+      slopeSE: 0.09740537972343843,
+      df: 98,
     });
+    assert.ok(Math.abs(interceptP - 0.07171771070024444) < 1e-12);
+    assert.ok(Math.abs(slopeP - 0.53461837037721449) < 1e-12);
   });
-});
\ No newline at end of file
+
+  it('should produce weighted least squares coefficients', function () {
+    // integer weights are equivalent to replicating observations
+    const xw = [1, 2, 3, 4, 5];
+    const yw = [1.2, 1.9, 3.4, 3.8, 5.3];
+    const weights = [1, 2, 1, 3, 1];
+    const replicated = linearRegression([1.2, 1.9, 1.9, 3.4, 3.8, 3.8, 3.8, 5.3], [1, 2, 2, 3, 4, 4, 4, 5]);
+    const weighted = linearRegression(yw, xw, weights);
+    assert.ok(Math.abs(weighted.intercept - replicated.intercept) < 1e-10);
+    assert.ok(Math.abs(weighted.slope - replicated.slope) < 1e-10);
+    assert.strictEqual(weighted.df, 3);
+    assert.deepStrictEqual(linearRegression(yw, xw, [1, 1, 1, 1, 1]), linearRegression(yw, xw));
+  });
+
+  it('should compute p-values from the t distribution for small samples', function () {
+    // summary(lm(c(1.2, 1.9, 3.4) ~ c(1, 2, 3)))
+    const { interceptP, slopeP, df } = linearRegression([1.2, 1.9, 3.4], [1, 2, 3]);
+    assert.strictEqual(df, 1);
+    assert.ok(Math.abs(interceptP - 0.9575271807858392) < 1e-10);
+    assert.ok(Math.abs(slopeP - 0.1317421248518543) < 1e-10);
+    assert.throws(() => linearRegression([1.2, 1.9], [1, 2]), { message: 'Too few observations to fit a slope + intercept' });
+  });
+});
+
+describe('Distribution functions', function () {
+  it('should compute the log gamma function', function () {
+    assert.ok(Math.abs(logGamma(0.5) - Math.log(Math.sqrt(Math.PI))) < 1e-12);
+    assert.ok(Math.abs(logGamma(10) - Math.log(362880)) < 1e-12);
+    assert.ok(Math.abs(logGamma(1)) < 1e-12);
+  });
+
+  it('should compute the chi-squared CDF', function () {
+    // pchisq(c(3.841459, 5.991465, 10, 100, 0.5), c(1, 2, 5, 50, 10))
+    assert.ok(Math.abs(chiSquaredCDF(3.841459, 1) - 0.95) < 1e-7);
+    assert.ok(Math.abs(chiSquaredCDF(5.991465, 2) - 0.95) < 1e-7);
+    assert.ok(Math.abs(chiSquaredCDF(10, 5) - 0.9247648) < 1e-7);
+    assert.ok(Math.abs(chiSquaredCDF(100, 50) - 0.9999655) < 1e-7);
+    assert.ok(Math.abs(chiSquaredCDF(0.5, 10) - 6.611711e-06) < 1e-10);
+    assert.deepStrictEqual(chiSquaredCDF(0, 3), 0);
+    assert.throws(() => chiSquaredCDF(1, 0));
+  });
+
+  it('should compute the t CDF', function () {
+    // pt(c(2, -1.5, 0, 12.7062), c(5, 2, 3, 1))
+    assert.ok(Math.abs(studentTCDF(2, 5) - 0.9490303) < 1e-7);
+    assert.ok(Math.abs(studentTCDF(-1.5, 2) - 0.1361966) < 1e-7);
+    assert.deepStrictEqual(studentTCDF(0, 3), .5);
+    assert.ok(Math.abs(studentTCDF(12.7062, 1) - 0.975) < 1e-6);
+    assert.throws(() => studentTCDF(1, 0));
+  });
+
+  it('should compute Gauss-Hermite quadrature', function () {
+    // integrals of exp(-x^2) x^(2k) are exact for polynomials of degree < 2n
+    const { nodes, weights } = gaussHermite(5);
+    const integrate = (f) => nodes.reduce((acc, x, ix) => acc + weights[ix] * f(x), 0);
+    assert.ok(Math.abs(integrate(() => 1) - Math.sqrt(Math.PI)) < 1e-12);
+    assert.ok(Math.abs(integrate((x) => Math.pow(x, 2)) - Math.sqrt(Math.PI) / 2) < 1e-12);
+    assert.ok(Math.abs(integrate((x) => Math.pow(x, 8)) - 105 * Math.sqrt(Math.PI) / 16) < 1e-10);
+    assert.ok(Math.abs(nodes[0] - 2.0201828704560856) < 1e-12);
+    // a single node is the Laplace approximation
+    assert.ok(Math.abs(gaussHermite(1).nodes[0]) < 1e-12);
+    assert.throws(() => gaussHermite(0));
+  });
+
+  it('should compute t quantiles', function () {
+    // qt(c(.975, .975, .975, .995, .025, .9), c(1, 2, 10, 4, 5, 30))
+    assert.ok(Math.abs(studentTQuantile(.975, 1) - 12.706205) < 1e-6);
+    assert.ok(Math.abs(studentTQuantile(.975, 2) - 4.302653) < 1e-6);
+    assert.ok(Math.abs(studentTQuantile(.975, 10) - 2.228139) < 1e-6);
+    assert.ok(Math.abs(studentTQuantile(.995, 4) - 4.604095) < 1e-6);
+    assert.ok(Math.abs(studentTQuantile(.025, 5) + 2.570582) < 1e-6);
+    assert.ok(Math.abs(studentTQuantile(.9, 30) - 1.310415) < 1e-6);
+    assert.deepStrictEqual(studentTQuantile(.5, 7), 0);
+    assert.throws(() => studentTQuantile(.5, -1));
+  });
+
+  it('should compute beta quantiles', function () {
+    // closed forms where either shape parameter is 1
+    assert.ok(Math.abs(betaQuantile(.3, 1, 1) - .3) < 1e-10);
+    assert.ok(Math.abs(betaQuantile(.975, 1, 40) - (1 - Math.pow(.025, 1 / 40))) < 1e-10);
+    assert.ok(Math.abs(betaQuantile(.2, 3, 1) - Math.pow(.2, 1 / 3)) < 1e-10);
+    assert.ok(Math.abs(betaQuantile(.5, 2, 2) - .5) < 1e-10);
+    // binom.test(10, 50)$conf.int
+    assert.ok(Math.abs(betaQuantile(.025, 10, 41) - .1003022) < 1e-6);
+    assert.ok(Math.abs(betaQuantile(.975, 11, 40) - .3371831) < 1e-6);
+    assert.strictEqual(betaQuantile(0, 2, 3), 0);
+    assert.strictEqual(betaQuantile(1, 2, 3), 1);
+    assert.throws(() => betaQuantile(.5, 0, 1));
+  });
+});